@@ -12,17 +12,118 @@
 const { React, Webpack, UI, Webpack: { Filters }, Patcher, DOM, ContextMenu, Data, Logger } = BdApi;
 const {
   useSyncExternalStore, useState, useLayoutEffect, useEffect,
-  useRef, useCallback, memo, useId, createElement: jsx, Fragment
+  useRef, useCallback, useMemo, memo, useId, createElement: jsx, Fragment
 } = React;
 
 const DATA_BASE_NAME = "BackgroundManager";
 const STORE_NAME = "images";
+const BLOB_STORE_NAME = "blobs";
+const THUMBNAIL_STORE_NAME = "thumbnails";
+const RENDER_STORE_NAME = "renders";
+
+/**
+ * Calls the callback with the cursor on every record of the store, and resolves once it has passed all of them.
+ * @param {IDBObjectStore} store
+ * @param {(cursor: IDBCursorWithValue) => void} callback
+ * @returns {Promise<void>}
+ */
+function forEachRecord(store, callback) {
+  return new Promise((resolve, reject) => {
+    const cursorRequest = store.openCursor();
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return resolve();
+
+      callback(cursor);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/**
+ * Ordered upgrade steps of the database schema. The database version is the amount of steps,
+ * so a schema change is made by appending a new step, which has to carry the existing data forward.
+ * Never change or remove an existing step, as users may still upgrade from any older version.
+ *
+ * A step, which reads or writes records, returns a promise that resolves once its requests are done.
+ * The next step only starts after that, so it sees the records as the previous one left them.
+ * @type {((db: IDBDatabase, transaction: IDBTransaction) => void | Promise<void>)[]}
+ */
+const DB_MIGRATIONS = [
+  // v1: Images and their metadata in one store
+  db => {
+    db.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+  },
+  // v2: Split the image blobs from the metadata, so small changes don't rewrite the whole file.
+  (db, transaction) => {
+    const blobs = db.createObjectStore(BLOB_STORE_NAME, { keyPath: "id" });
+
+    return forEachRecord(transaction.objectStore(STORE_NAME), cursor => {
+      const { image, src, ...record } = cursor.value;
+      blobs.put({ id: record.id, image });
+      cursor.update(record);
+    });
+  },
+  // v3: A position for every record, so the gallery can be reordered independently of the ids.
+  (_, transaction) => {
+    return forEachRecord(transaction.objectStore(STORE_NAME), cursor => {
+      if (cursor.value.order == null) cursor.update({ ...cursor.value, order: cursor.value.id });
+    });
+  },
+  // v4: Thumbnails in their own store as well, so the metadata records are free of blobs.
+  (db, transaction) => {
+    const thumbnails = db.createObjectStore(THUMBNAIL_STORE_NAME, { keyPath: "id" });
+
+    return forEachRecord(transaction.objectStore(STORE_NAME), cursor => {
+      const { thumbnail, ...record } = cursor.value;
+      if (!thumbnail) return;
+
+      thumbnails.put({ id: record.id, thumbnail });
+      cursor.update(record);
+    });
+  },
+  // v5: The rendered versions of edited images, so they aren't drawn again on every start.
+  db => {
+    db.createObjectStore(RENDER_STORE_NAME, { keyPath: "id" });
+  },
+];
 
 /** @param {{slug: string, version: string, name: string}} meta */
 module.exports = meta => {
+  /** @type {{ value: string, label: string, easing: string }[]} Transition effects, and their default easing. */
+  const transitionTypes = [
+    { value: "fade", label: "Crossfade", easing: "ease-out" },
+    { value: "slide-left", label: "Slide Left", easing: "cubic-bezier(0.65, 0, 0.35, 1)" },
+    { value: "slide-right", label: "Slide Right", easing: "cubic-bezier(0.65, 0, 0.35, 1)" },
+    { value: "slide-up", label: "Slide Up", easing: "cubic-bezier(0.65, 0, 0.35, 1)" },
+    { value: "slide-down", label: "Slide Down", easing: "cubic-bezier(0.65, 0, 0.35, 1)" },
+    { value: "zoom-in", label: "Zoom In", easing: "ease-out" },
+    { value: "zoom-out", label: "Zoom Out", easing: "ease-out" },
+    { value: "wipe", label: "Wipe", easing: "ease-in-out" },
+    { value: "blur", label: "Blur Through", easing: "ease-in-out" },
+    { value: "dissolve", label: "Dissolve", easing: "linear" },
+  ];
+
+  const easingOptions = [
+    { label: "Ease Out", value: "ease-out" },
+    { label: "Ease In", value: "ease-in" },
+    { label: "Ease In Out", value: "ease-in-out" },
+    { label: "Linear", value: "linear" },
+    { label: "Smooth", value: "cubic-bezier(0.65, 0, 0.35, 1)" },
+    { label: "Overshoot", value: "cubic-bezier(0.34, 1.56, 0.64, 1)" },
+  ];
+
   const defaultSettings = {
     enableDrop: false,
-    transition: { enabled: true, duration: 1000 },
+    transition: {
+      enabled: true,
+      duration: 1000,
+      type: "fade",
+      /** @type {Record<string, string>} Easing curve per transition type. */
+      easings: Object.fromEntries(transitionTypes.map(({ value, easing }) => [value, easing])),
+    },
     slideshow: { enabled: false, interval: 300000, shuffle: true },
     overwriteCSS: true,
     /** @type {{enabled: boolean, color: "primary1" | "primary2" | "secondary1" | "secondary2"}} */
@@ -41,9 +142,45 @@ module.exports = meta => {
       saturate: 100,
       contrast: 100
     },
-    addContextMenu: true
+    addContextMenu: true,
+    /** @type {number | null} Album to show and cycle through, or every image if null. */
+    activeAlbum: null,
+    pauseHiddenVideo: true,
+    /** @type {number | null} Profile which tracks changes to the settings it covers. */
+    activeProfile: null,
+    /** @type {{ enabled: boolean, entries: ScheduleEntry[] }} */
+    schedule: { enabled: false, entries: [] },
+    /** Ctrl + Alt + Left / Right to go to the previous / next background. */
+    shortcuts: true,
+    /** @type {{ enabled: boolean, zoom: number, direction: "random" | "focal" }} Slow pan and zoom across the active image. */
+    kenBurns: { enabled: false, zoom: 15, direction: "random" },
+    /** @type {{ enabled: boolean, format: "image/webp" | "image/avif" | "image/jpeg", quality: number, minSize: number, maxResolution: "original" | "screen" }} Re-encoding of large images on import. Size in MiB. */
+    compression: { enabled: false, format: "image/webp", quality: 85, minSize: 2, maxResolution: "original" },
+    /** @type {{ limit: number, mode: "warn" | "refuse", trashDays: number }} Size cap of the library and the trash in MiB, or 0 for none. How many days deleted images are kept. */
+    storage: { limit: 0, mode: "warn", trashDays: 30 },
   }
 
+  /** How many previously shown images are remembered. */
+  const HISTORY_SIZE = 50;
+  /** Width of the thumbnails in the gallery, in pixels. */
+  const THUMBNAIL_WIDTH = 320;
+  /** Differing bits of the perceptual hashes, up to which two images count as near duplicates. */
+  const NEAR_DUPLICATE_DISTANCE = 6;
+
+  /** Settings covered by a profile. */
+  const profileKeys = /** @type {const} */ (["transition", "slideshow", "kenBurns", "adjustment", "accentColor", "buttonLocation"]);
+
+  /** @type {{ key: keyof typeof defaultSettings.adjustment, label: string, minValue: number, maxValue: number, decimals?: number, suffix?: string }[]} */
+  const adjustmentFields = [
+    { key: "xPosition", label: "x-Position", minValue: -50, maxValue: 50, suffix: "%" },
+    { key: "yPosition", label: "y-Position", minValue: -50, maxValue: 50, suffix: "%" },
+    { key: "dimming", label: "Dimming", minValue: 0, maxValue: 1, decimals: 2 },
+    { key: "blur", label: "Blur", minValue: 0, maxValue: 100, suffix: "px" },
+    { key: "grayscale", label: "Grayscale", minValue: 0, maxValue: 100, suffix: "%" },
+    { key: "saturate", label: "Saturate", minValue: 0, maxValue: 300, suffix: "%" },
+    { key: "contrast", label: "Contrast", minValue: 0, maxValue: 300, suffix: "%" },
+  ];
+
   /** @type {AbortController?} */
   var controller;
   /** @type {internals} */
@@ -51,11 +188,20 @@ module.exports = meta => {
   /**
    * @type {ReturnType<typeof utils.createFastContext<{
    *  items: ImageItem[],
+   *  trash: ImageItem[],
+   *  albums: Album[],
+   *  profiles: Profile[],
+   *  bindings: Record<string, Target>,
+   *  queue: QueueEntry[],
+   *  history: number[],
+   *  navigation: { guildId: string | null, channelId: string | null },
    *  activeSrc: string | null,
    *  settings: typeof defaultSettings,
    * }>>}
    */
   var Store;
+  /** @type {Map<number, ImageItem>} Items as they were last written to the database, used to diff against on save. */
+  var persistedItems = new Map();
 
   function init() {
     if (internals) return;
@@ -105,23 +251,43 @@ module.exports = meta => {
     init();
 
     utils.enqueueAsync(async () => {
-      const items = await utils.getItems();
+      const stored = await utils.getItems();
       /** @type { typeof defaultSettings } */
       const configs = Data.load(meta.slug, "settings");
-
-      for (const item of items) {
-        item.src = URL.createObjectURL(item.image);
+      /** @type {Album[]} */
+      const albums = Data.load(meta.slug, "albums") ?? [];
+      /** @type {Profile[]} */
+      const profiles = Data.load(meta.slug, "profiles") ?? [];
+      const settings = utils.mergeSettings(configs, { albums, profiles });
+
+      // Expired images are left out of both, so the first save removes them for good.
+      const expiry = Date.now() - settings.storage.trashDays * 86400000;
+      const items = stored.filter(item => item.deletedAt == null);
+      const trash = stored.filter(item => item.deletedAt != null && item.deletedAt > expiry);
+      /** @type {Record<string, Target>} */
+      const bindings = Data.load(meta.slug, "bindings") ?? {};
+      /** @type {QueueEntry[]} */
+      const queue = (Data.load(meta.slug, "queue") ?? []).filter((/** @type {QueueEntry} */ entry) => items.some(item => item.id === entry.id));
+      /** @type {number[]} Ids of the previously shown images, most recent last. */
+      const history = (Data.load(meta.slug, "history") ?? []).filter((/** @type {number} */ id) => items.some(item => item.id === id));
+
+      // Edited images without a stored render show the original, until `edits.fillMissing` has drawn them.
+      for (const item of [...items, ...trash]) {
+        item.src = URL.createObjectURL(item.edited ?? item.image);
+        item.thumbSrc = item.thumbnail ? URL.createObjectURL(item.thumbnail) : null;
       }
 
       Store = utils.createFastContext({
         items,
+        trash,
+        albums,
+        profiles,
+        bindings,
+        queue,
+        history,
+        navigation: { guildId: null, channelId: null },
         activeSrc: items.find(img => img.selected)?.src ?? null,
-        settings: {
-          ...defaultSettings, ...configs,
-          transition: { ...defaultSettings.transition, ...configs?.transition },
-          slideshow: { ...defaultSettings.slideshow, ...configs?.slideshow },
-          adjustment: { ...defaultSettings.adjustment, ...configs?.adjustment }
-        }
+        settings,
       });
 
       // Patch bg
@@ -142,20 +308,86 @@ module.exports = meta => {
 
 
       // Store subscribbles
-      Store.subscribe(({ items }) => {
+      // The trash lives in the same database store, and only differs by its `deletedAt`.
+      Store.subscribe(({ items, trash }) => {
         utils.enqueueAsync(async () => {
-          await utils.saveItems(items);
+          await utils.saveItems([...items, ...trash]).catch(utils.reportSaveError);
         });
+      }, ({ items, trash }) => [items, trash]);
+
+      Store.subscribe(() => {
+        utils.fillMissing();
+        utils.edits.fillMissing();
       }, ({ items }) => [items]);
 
       Store.subscribe((store) => {
         Data.save(meta.slug, 'settings', store.settings);
       }, ({ settings }) => [settings]);
 
+      Store.subscribe(({ albums }) => {
+        Data.save(meta.slug, 'albums', albums);
+      }, ({ albums }) => [albums]);
+
+      Store.subscribe(({ profiles }) => {
+        Data.save(meta.slug, 'profiles', profiles);
+      }, ({ profiles }) => [profiles]);
+
+      Store.subscribe(({ queue }) => {
+        Data.save(meta.slug, 'queue', queue);
+      }, ({ queue }) => [queue]);
+
+      Store.subscribe(({ history }) => {
+        Data.save(meta.slug, 'history', history);
+      }, ({ history }) => [history]);
+
+      Store.subscribe(store => {
+        const queue = utils.queue.normalize(store);
+        queue !== store.queue && Store.set({ queue });
+      }, store => [store.queue, store.items, store.bindings, store.navigation, store.settings.activeAlbum, store.settings.schedule]);
+
+      let shuffle = Store.get().settings.slideshow.shuffle;
+      Store.subscribe(({ settings }) => {
+        if (settings.slideshow.shuffle === shuffle) return;
+        shuffle = settings.slideshow.shuffle;
+        // The bag was built for the other mode, so only keep what the user pinned.
+        Store.set(store => ({ queue: store.queue.filter(entry => entry.pinned) }));
+      }, ({ settings }) => [settings.slideshow.shuffle]);
+
+      Store.subscribe(({ bindings }) => {
+        Data.save(meta.slug, 'bindings', bindings);
+        if (Object.keys(bindings).length) {
+          Controllers.navigation.start();
+        } else {
+          Controllers.navigation.update();
+          Controllers.navigation.stop();
+        }
+      }, ({ bindings }) => [bindings]);
+
+      Store.subscribe(({ settings }) => {
+        const { activeProfile } = settings;
+        if (activeProfile == null) return;
+
+        Store.set(store => ({
+          profiles: store.profiles.map(profile => profile.id === activeProfile ? { ...profile, settings: utils.profiles.pick(settings) } : profile)
+        }));
+      }, ({ settings }) => [settings.activeProfile, ...profileKeys.map(key => settings[key])]);
+
       Store.subscribe(store => {
         store.settings.slideshow.enabled ? Controllers.slideshow.start() : Controllers.slideshow.stop();
       }, ({ settings }) => [settings.slideshow.enabled, settings.slideshow.interval]);
 
+      Store.subscribe(({ settings }) => {
+        settings.schedule.enabled ? Controllers.schedule.start() : Controllers.schedule.stop();
+      }, ({ settings }) => [settings.schedule]);
+
+      Store.subscribe(({ settings }) => {
+        settings.shortcuts ? Controllers.shortcuts.start() : Controllers.shortcuts.stop();
+      }, ({ settings }) => [settings.shortcuts]);
+
+      Store.subscribe(() => {
+        Controllers.trash.start();
+      }, ({ settings }) => [settings.storage.trashDays]);
+
       Store.subscribe(store => {
         store.settings.overwriteCSS === true ? Controllers.themeObserver.observe() : Controllers.themeObserver.disconnect();
       }, ({ settings }) => [settings.overwriteCSS]);
@@ -187,14 +419,18 @@ module.exports = meta => {
 
     utils.enqueueAsync(async () => {
       Store.unsubscribeAll();
+      /** @param {ImageItem} item */
+      const release = item => {
+        utils.revokeUrls(item);
+        item.src = null;
+        item.thumbSrc = null;
+        return item;
+      };
       Store.set(store => ({
-        items: store.items.map(item => {
-          item.src && URL.revokeObjectURL(item.src);
-          item.src = null;
-          return item;
-        })
+        items: store.items.map(release),
+        trash: store.trash.map(release),
       }))
-      await utils.saveItems(Store.get().items);
+      await utils.saveItems([...Store.get().items, ...Store.get().trash]).catch(utils.reportSaveError);
       Store = null;
 
       Patcher.unpatchAll(meta.slug);
@@ -305,210 +541,1075 @@ module.exports = meta => {
     /** @returns {Promise<IDBDatabase>} */
     openDB() {
       return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DATA_BASE_NAME, 1);
+        const request = indexedDB.open(DATA_BASE_NAME, DB_MIGRATIONS.length);
 
-        request.onupgradeneeded = () => { request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true }) };
-        request.onsuccess = () => { resolve(request.result) };
-        request.onerror = () => reject();
+        request.onupgradeneeded = e => {
+          const db = request.result;
+          const transaction = request.transaction;
+          if (!transaction) return;
+
+          // Runs in the versionchange transaction, so a failing step rolls back the whole upgrade.
+          // Only steps with pending requests are awaited, as their callbacks keep the transaction active.
+          (async () => {
+            for (let version = e.oldVersion; version < DB_MIGRATIONS.length; version++) {
+              try {
+                const pending = DB_MIGRATIONS[version](db, transaction);
+                if (pending) await pending;
+              } catch (err) {
+                Logger.error(DATA_BASE_NAME, `Migration to version ${version + 1} failed.`, err);
+                transaction.abort();
+                return;
+              }
+            }
+          })();
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Don't block future upgrades with an open connection.
+          db.onversionchange = () => { db.close() };
+          resolve(db);
+        };
+        request.onblocked = () => { Logger.warn(DATA_BASE_NAME, "Database upgrade is blocked by an open connection.") };
+        request.onerror = () => reject(request.error);
       });
     },
 
     /**
-     * @typedef {{ image: File, selected: boolean, src: string, id: number, width: number, height: number, color?: {signature: string, primary1: Uint8ClampedArray, primary2: Uint8ClampedArray, secondary1: Uint8ClampedArray,  secondary2: Uint8ClampedArray } }} ImageItem
+     * @typedef {{ image: File, selected: boolean, src: string, id: number, order: number, width: number, height: number, albums?: number[], tags?: string[], rating?: number, excluded?: boolean, thumbnail?: Blob, thumbSrc?: string | null, hash?: string, phash?: string, deletedAt?: number, focal?: { x: number, y: number }, crop?: { x: number, y: number, width: number, height: number }, edits?: ImageEdit[], edited?: Blob, adjustment?: Partial<typeof defaultSettings.adjustment>, color?: {signature: string, primary1: Uint8ClampedArray, primary2: Uint8ClampedArray, secondary1: Uint8ClampedArray,  secondary2: Uint8ClampedArray } }} ImageItem
+     * @typedef {{ type: "rotate", turns: 1 | 2 | 3 } | { type: "flip", axis: "x" | "y" } | { type: "crop", x: number, y: number, width: number, height: number }} ImageEdit
+     * @typedef {{ id: number, name: string }} Album
+     * @typedef {{ id: number, pinned?: boolean }} QueueEntry
+     * @typedef {{ type: "album" | "image", id: number }} Target
+     * @typedef {{ id: number, start: string, end: string, target: Target }} ScheduleEntry
+     * @typedef {{ id: number, name: string, settings: Pick<typeof defaultSettings, typeof profileKeys[number]> }} Profile
      * @returns {Promise<ImageItem[]>}
      */
     getItems() {
       return new Promise((resolve, reject) => {
         utils.openDB().then(db => {
-          /** @type {IDBRequest<ImageItem[]>} */
-          const request = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).getAll();
-
-          request.onsuccess = () => { resolve(request.result); db.close() };
-          request.onerror = () => reject(request.error);
-        });
+          const transaction = db.transaction([STORE_NAME, BLOB_STORE_NAME, THUMBNAIL_STORE_NAME, RENDER_STORE_NAME], "readonly");
+          /** @type {IDBRequest<Omit<ImageItem, "image" | "src" | "thumbnail">[]>} */
+          const records = transaction.objectStore(STORE_NAME).getAll();
+          /** @type {IDBRequest<{ id: number, image: File }[]>} */
+          const blobs = transaction.objectStore(BLOB_STORE_NAME).getAll();
+          /** @type {IDBRequest<{ id: number, thumbnail: Blob }[]>} */
+          const thumbnails = transaction.objectStore(THUMBNAIL_STORE_NAME).getAll();
+          /** @type {IDBRequest<{ id: number, edits: string, blob: Blob }[]>} */
+          const renders = transaction.objectStore(RENDER_STORE_NAME).getAll();
+
+          transaction.oncomplete = () => {
+            const images = new Map(blobs.result.map(blob => [blob.id, blob.image]));
+            const thumbs = new Map(thumbnails.result.map(blob => [blob.id, blob.thumbnail]));
+            const rendered = new Map(renders.result.map(render => [render.id, render]));
+            /** @type {ImageItem[]} */
+            const items = records.result
+              .map(record => {
+                // A render is only used for the edits it was drawn with.
+                const render = rendered.get(record.id);
+                const edited = render && record.edits?.length && render.edits === JSON.stringify(record.edits) ? render.blob : undefined;
+                return { ...record, image: images.get(record.id), thumbnail: thumbs.get(record.id), edited, src: null };
+              })
+              .sort((a, b) => a.order - b.order);
+
+            // Records without a blob stay in the snapshot, so that the next save removes them.
+            persistedItems = new Map(items.map(item => [item.id, item]));
+            resolve(items.filter(item => item.image));
+            db.close();
+          };
+          transaction.onerror = () => { reject(transaction.error); db.close() };
+        }, reject);
       });
     },
 
     /**
+     * Only writes the records which changed since the last save, and removes the ones that are gone.
      * @param {ImageItem[]} items
      * @return {Promise<void>}
      */
     saveItems(items) {
       return new Promise((resolve, reject) => {
-        utils.openDB().then(db => {
-          const transaction = db.transaction(STORE_NAME, "readwrite");
-          const store = transaction.objectStore(STORE_NAME);
+        const next = new Map(items.map(item => [item.id, item]));
+        const deleted = [...persistedItems.keys()].filter(id => !next.has(id));
+        const changed = items.filter(item => persistedItems.get(item.id) !== item);
+        if (!deleted.length && !changed.length) {
+          persistedItems = next;
+          return resolve();
+        }
 
-          store.clear();
-          items.forEach(item => { store.put(item) });
+        utils.openDB().then(db => {
+          const transaction = db.transaction([STORE_NAME, BLOB_STORE_NAME, THUMBNAIL_STORE_NAME, RENDER_STORE_NAME], "readwrite");
+          const records = transaction.objectStore(STORE_NAME);
+          const blobs = transaction.objectStore(BLOB_STORE_NAME);
+          const thumbnails = transaction.objectStore(THUMBNAIL_STORE_NAME);
+          const renders = transaction.objectStore(RENDER_STORE_NAME);
+
+          for (const id of deleted) {
+            records.delete(id);
+            blobs.delete(id);
+            thumbnails.delete(id);
+            renders.delete(id);
+          }
+          for (const item of changed) {
+            const prev = persistedItems.get(item.id);
+            if (prev?.image !== item.image) {
+              blobs.put({ id: item.id, image: item.image });
+            }
+            if (prev?.thumbnail !== item.thumbnail) {
+              item.thumbnail ? thumbnails.put({ id: item.id, thumbnail: item.thumbnail }) : thumbnails.delete(item.id);
+            }
+            if (prev?.edited !== item.edited) {
+              item.edited ? renders.put({ id: item.id, edits: JSON.stringify(item.edits), blob: item.edited }) : renders.delete(item.id);
+            }
+            if (!prev || utils.isRecordChanged(prev, item)) {
+              records.put(utils.toRecord(item));
+            }
+          }
 
-          transaction.oncomplete = () => resolve();
-          transaction.onerror = () => reject();
-          transaction.onabort = () => reject();
-        });
+          transaction.oncomplete = () => { persistedItems = next; resolve(); db.close() };
+          transaction.onerror = () => { reject(transaction.error); db.close() };
+          transaction.onabort = () => { reject(transaction.error); db.close() };
+        }, reject);
       });
     },
 
-    /** @param {ImageItem | HTMLImageElement} image */
-    async getAverageColors(image) {
-      const canvas = new OffscreenCanvas(image.width, image.height);
-      const ctx = canvas.getContext("2d");
-      if (!ctx) throw new Error("");
-
-      if (image instanceof HTMLImageElement) {
-        ctx.drawImage(image, 0, 0, image.width, image.height);
+    /**
+     * Tells the user, that the images could not be saved. They are retried with the next change.
+     * @param {unknown} error
+     */
+    reportSaveError(error) {
+      Logger.error(meta.slug, error);
+      if (error instanceof DOMException && error.name === "QuotaExceededError") {
+        UI.showToast("Storage is full. New images and changes could not be saved, and will be lost on restart. Delete some images to free up space.", { type: "error", timeout: 10000 });
       } else {
-        const bitmap = await createImageBitmap(image.image);
-        ctx.drawImage(bitmap, 0, 0, image.width, image.height);
-        bitmap.close();
+        UI.showToast(`Failed to save images. ${error}`, { type: "error" });
       }
+    },
 
-      const { data } = ctx.getImageData(0, 0, image.width, image.height);
+    /**
+     * Strips everything from an item, which is either stored separately or only lives in memory.
+     * @param {ImageItem} item
+     */
+    toRecord(item) {
+      const { image, src, thumbnail, thumbSrc, edited, ...record } = item;
+      return record;
+    },
 
-      // mini batch k-means
-      const max_iters = 50;
-      const batch_size = 2048;
-      const n_pixels = data.length / 4;
-      const k = utils.clamp(1, n_pixels, 6);
+    /** @param {ImageItem} item */
+    revokeUrls(item) {
+      item.src && URL.revokeObjectURL(item.src);
+      item.thumbSrc && URL.revokeObjectURL(item.thumbSrc);
+    },
 
-      const sums = new Uint32Array(k * 3);
-      const counts = new Uint32Array(k);
-      const new_centroids = new Float64Array(k * 3);
-      const centroids = new Float64Array(k * 3);
-      for (let i = 0; i < k; i++) {
-        const idx = Math.floor((i + 1) / (k + 1) * n_pixels);
-        centroids[i * 3 + 0] = data[idx * 4 + 0];
-        centroids[i * 3 + 1] = data[idx * 4 + 1];
-        centroids[i * 3 + 2] = data[idx * 4 + 2];
+    /**
+     * Reads the dimensions and hashes of a new image or video, and creates the object urls for it.
+     * @param {File} file
+     * @returns {Promise<Pick<ImageItem, "image" | "src" | "width" | "height" | "thumbnail" | "thumbSrc" | "hash" | "phash">>}
+     */
+    async createItem(file) {
+      const src = URL.createObjectURL(file);
+      try {
+        const { width, height } = await utils.getDimensions(src, file.type);
+        const thumbnail = await utils.thumbnails.create({ image: file, width }).catch(() => undefined);
+        const hash = await utils.hashBlob(file);
+        const phash = await utils.getPerceptualHash(thumbnail ?? file).catch(() => undefined);
+        return { image: file, src, width, height, thumbnail, thumbSrc: thumbnail ? URL.createObjectURL(thumbnail) : null, hash, phash };
+      } catch (e) {
+        URL.revokeObjectURL(src);
+        throw e;
       }
+    },
 
-      for (let iter = 0; iter < max_iters; iter++) {
-        for (let i = 0; i < batch_size; i++) {
-          // getBatch()
-          const idx = Math.floor(Math.random() * n_pixels);
-          const r = data[idx * 4 + 0];
-          const g = data[idx * 4 + 1];
-          const b = data[idx * 4 + 2];
-
-          // distances
-          let bestIdx = 0;
-          let bestDist = 195075; // 3*255*255 - maximum distance
-          for (let c = 0; c < k; c++) {
-            const dr = centroids[c * 3 + 0] - r;
-            const dg = centroids[c * 3 + 1] - g;
-            const db = centroids[c * 3 + 2] - b;
-            const dist = dr * dr + dg * dg + db * db;
-            if (dist < bestDist) {
-              // labels
-              bestDist = dist;
-              bestIdx = c;
-            }
-          }
+    /**
+     * Warns about, or refuses, images which would take the library over its size cap.
+     * @param {string} name What is being added, for the message.
+     * @param {number} size Size of the new images in bytes.
+     * @param {boolean} [replace] Whether they replace the library and the trash, instead of being added to them.
+     * @returns {boolean} Whether the images may be added.
+     */
+    checkSizeCap(name, size, replace = false) {
+      const { settings: { storage }, items, trash } = Store.get();
+      if (!(storage.limit > 0)) return true;
+
+      // The trash is still stored, so it counts towards the cap as well.
+      const inTrash = !replace && trash.length > 0;
+      const total = (replace ? [] : [...items, ...trash]).reduce((sum, item) => sum + item.image.size, 0) + size;
+      if (total <= storage.limit * 1048576) return true;
+
+      const message = `${name} brings the library${inTrash ? ", including the trash," : ""} to ${utils.formatNumber(total)}, over its size cap of ${utils.formatNumber(storage.limit * 1048576)}.`;
+      if (storage.mode === "refuse") {
+        UI.showToast(`${message} It was not added.${inTrash ? " Empty the trash to free up space." : ""}`, { type: "error" });
+        return false;
+      }
+      UI.showToast(message, { type: "warning" });
+      return true;
+    },
 
-          // new averages
-          sums[bestIdx * 3 + 0] += r;
-          sums[bestIdx * 3 + 1] += g;
-          sums[bestIdx * 3 + 2] += b;
-          counts[bestIdx]++;
+    /**
+     * Adds a new file to the library. Exact duplicates are rejected,
+     * and for near duplicates the user is asked whether to keep it.
+     * An exact duplicate of an image in the trash restores that one, instead of storing the file twice.
+     * Near duplicates in the trash don't count, as they were deleted on purpose.
+     * @param {File} file
+     * @returns {Promise<boolean>} Whether the image was added right away.
+     */
+    async importFile(file) {
+      const { compression } = Store.get().settings;
+      if (compression.enabled) {
+        const original = file;
+        file = await utils.reencode(file, compression).catch(e => {
+          Logger.warn(meta.slug, `Could not re-encode ${original.name}.`, e);
+          return original;
+        });
+        if (file !== original) {
+          UI.showToast(`Re-encoded ${original.name}: ${utils.formatNumber(original.size)} \u2192 ${utils.formatNumber(file.size)}`, { type: "info" });
         }
+      }
 
-        let converged = true;
-        for (let i = 0; i < k; i++) {
-          if (counts[i] > 0) {
-            new_centroids[i * 3 + 0] = sums[i * 3 + 0] / counts[i];
-            new_centroids[i * 3 + 1] = sums[i * 3 + 1] / counts[i];
-            new_centroids[i * 3 + 2] = sums[i * 3 + 2] / counts[i];
-          } else {
-            new_centroids[i * 3 + 0] = centroids[i * 3 + 0];
-            new_centroids[i * 3 + 1] = centroids[i * 3 + 1];
-            new_centroids[i * 3 + 2] = centroids[i * 3 + 2];
-          }
+      if (!utils.checkSizeCap(file.name, file.size)) return false;
+
+      const item = await utils.createItem(file);
+      const add = () => {
+        Store.set(store => ({
+          items: [...store.items, {
+            ...item,
+            selected: false,
+            id: utils.nextId([...store.items, ...store.trash]),
+            order: utils.nextOrder([...store.items, ...store.trash]),
+            albums: store.settings.activeAlbum != null ? [store.settings.activeAlbum] : [],
+            color: undefined,
+          }]
+        }));
+      };
 
-          const dr = new_centroids[i * 3 + 0] - centroids[i * 3 + 0];
-          const dg = new_centroids[i * 3 + 1] - centroids[i * 3 + 1];
-          const db = new_centroids[i * 3 + 2] - centroids[i * 3 + 2];
-          if (dr * dr + dg * dg + db * db > 1e-8) converged = false;
-        }
+      await utils.fillHashes();
+      const { items, trash } = Store.get();
+      const duplicate = items.find(e => e.hash === item.hash);
+      if (duplicate) {
+        utils.revokeUrls(item);
+        UI.showToast(`${file.name} is already in your library, as ${duplicate.image.name}.`, { type: "warning" });
+        return false;
+      }
 
-        if (converged) break;
+      for (const trashed of trash) {
+        if ((trashed.hash ?? await utils.hashBlob(trashed.image)) !== item.hash) continue;
 
-        sums.fill(0);
-        counts.fill(0);
-        centroids.set(new_centroids);
+        utils.revokeUrls(item);
+        utils.trash.restore(new Set([trashed.id]));
+        UI.showToast(`${file.name} was in the trash, as ${trashed.image.name}, and has been restored.`, { type: "success" });
+        return false;
       }
 
-      const accents = new Array(k).fill(null)
-        .map((_, i) => [centroids[i * 3 + 0], centroids[i * 3 + 1], centroids[i * 3 + 2]])
-        .sort((c1, c2) => {
-          const [L1, A1, B1] = utils.colors.rgbToLab(c1[0] / 255, c1[1] / 255, c1[2] / 255);
-          const [L2, A2, B2] = utils.colors.rgbToLab(c2[0] / 255, c2[1] / 255, c2[2] / 255);
-          const C1 = Math.hypot(A1, B1);
-          const C2 = Math.hypot(A2, B2);
+      const similar = item.phash && items.find(e => e.phash && utils.hammingDistance(e.phash, item.phash) <= NEAR_DUPLICATE_DISTANCE);
+      if (similar) {
+        /** @type {(() => void) | undefined} */
+        let close;
+        close = UI.showNotice(`${file.name} looks very similar to ${similar.image.name}, which is already in your library.`, {
+          type: "warning",
+          timeout: 0,
+          buttons: [
+            { label: "Keep", onClick: () => { Store ? add() : utils.revokeUrls(item); close?.() } },
+            { label: "Skip", onClick: () => { utils.revokeUrls(item); close?.() } },
+          ]
+        });
+        return false;
+      }
 
-          const [L1_cusp] = utils.colors.findCusp(A1 / C1, B1 / C1);
-          const [L2_cusp] = utils.colors.findCusp(A2 / C2, B2 / C2);
+      add();
+      return true;
+    },
 
-          // Triangular approximation of gamut border
-          const V1 = C1 * (L1 < L1_cusp ? L1 / L1_cusp : (1 - L1) / (1 - L1_cusp));
-          const V2 = C2 * (L2 < L2_cusp ? L2 / L2_cusp : (1 - L2) / (1 - L2_cusp));
+    /**
+     * Hashes the images, which `fillMissing` didn't get to yet, so the duplicate check can't miss them.
+     */
+    async fillHashes() {
+      const missing = Store.get().items.filter(item => !item.hash || !item.phash);
+      if (!missing.length) return;
+
+      /** @type {Map<number, Pick<ImageItem, "hash" | "phash">>} */
+      const hashes = new Map();
+      for (const item of missing) {
+        const hash = item.hash ?? await utils.hashBlob(item.image);
+        const phash = item.phash ?? await utils.getPerceptualHash(item.thumbnail ?? item.image).catch(() => undefined);
+        hashes.set(item.id, phash ? { hash, phash } : { hash });
+      }
+      Store.set(store => ({ items: store.items.map(e => hashes.has(e.id) ? { ...e, ...hashes.get(e.id) } : e) }));
+    },
 
-          return V2 - V1;
-        })
-        .map(c => new Uint8ClampedArray(c));
+    showTrash() {
+      UI.showConfirmationModal("Trash", jsx(Components.ErrorBoundary, null, jsx(Components.TrashView)), {
+        confirmText: "Close",
+        cancelText: null,
+      });
+    },
 
-      return {
-        signature: utils.colors.signature,
-        primary1: accents[0],
-        primary2: accents[1],
-        secondary1: accents[2],
-        secondary2: accents[3],
+    showStorage() {
+      UI.showConfirmationModal("Storage", jsx(Components.ErrorBoundary, null, jsx(Components.StorageView)), {
+        confirmText: "Close",
+        cancelText: null,
+      });
+    },
+
+    /**
+     * Re-encodes the image, if it is larger than the size limit, or has a higher resolution than needed to cover the screen.
+     * Animated and vector formats, and videos, are left as they are. So is the original, if the result isn't smaller.
+     * Images with transparent pixels are never encoded as JPEG, which would fill them with black.
+     * @param {File} file
+     * @param {typeof defaultSettings.compression} options
+     * @returns {Promise<File>}
+     */
+    async reencode(file, { format, quality, minSize, maxResolution }) {
+      if (!["image/png", "image/jpeg", "image/webp", "image/avif", "image/bmp"].includes(file.type) || await utils.isAnimated(file)) return file;
+
+      const bitmap = await createImageBitmap(file);
+      let canvas, transparent = false;
+      try {
+        const scale = maxResolution === "screen" ?
+          Math.min(1, Math.max(screen.width * devicePixelRatio / bitmap.width, screen.height * devicePixelRatio / bitmap.height)) : 1;
+        if (scale === 1 && file.size < minSize * 1048576) return file;
+
+        canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+        const ctx = canvas.getContext("2d");
+        if (!ctx) return file;
+        ctx.imageSmoothingQuality = "high";
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        if (file.type !== "image/jpeg") {
+          const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          for (let i = 3; i < data.length && !transparent; i += 4) transparent = data[i] < 255;
+        }
+      } finally {
+        bitmap.close();
+      }
+
+      // Unsupported types are encoded as PNG instead, so fall back until the runtime can encode one.
+      let blob;
+      for (const type of [format, "image/webp", "image/jpeg"].filter(type => !transparent || type !== "image/jpeg")) {
+        blob = await canvas.convertToBlob({ type, quality: quality / 100 });
+        if (blob.type === type) break;
       }
+      if (!blob || blob.size >= file.size) return file;
+
+      const ext = await utils.getFileExtension(blob) ?? blob.type.split("/").pop();
+      return new File([blob], `${file.name.replace(/\.\w+$/, "")}.${ext}`, { type: blob.type });
     },
 
-    colors: {
-      signature: "MiniBatchKMeans(6,2048)",
-      /**
-       * https://bottosson.github.io/posts/colorwrong/#what-can-we-do%3F
-       * https://bottosson.github.io/posts/oklab/#converting-from-linear-srgb-to-oklab
-       * sRGB must be normalized, so sRGB ∈ [0,1]
-       * @param {number} sR @param {number} sG @param {number} sB
-       */
-      rgbToLab(sR, sG, sB) {
-        const r = sR <= 0.04045 ? sR / 12.92 : ((sR + 0.055) / 1.055) ** 2.4;
-        const g = sG <= 0.04045 ? sG / 12.92 : ((sG + 0.055) / 1.055) ** 2.4;
-        const b = sB <= 0.04045 ? sB / 12.92 : ((sB + 0.055) / 1.055) ** 2.4;
+    /**
+     * Images which are either identical or look nearly the same, grouped together.
+     * @param {ImageItem[]} items
+     * @returns {ImageItem[][]}
+     */
+    findDuplicates(items) {
+      const parent = items.map((_, i) => i);
+      /** @param {number} i @returns {number} */
+      const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+
+      for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+          const a = items[i], b = items[j];
+          if ((a.hash && a.hash === b.hash) || (a.phash && b.phash && utils.hammingDistance(a.phash, b.phash) <= NEAR_DUPLICATE_DISTANCE)) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
 
-        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
-        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
-        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+      /** @type {Map<number, ImageItem[]>} */
+      const groups = new Map();
+      items.forEach((item, i) => {
+        const root = find(i);
+        groups.set(root, [...groups.get(root) ?? [], item]);
+      });
+      return [...groups.values()].filter(group => group.length > 1);
+    },
 
-        return [
-          0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
-          1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
-          0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
-        ]
-      },
+    /**
+     * A difference hash of the image. Similar images have hashes which only differ in a few bits.
+     * @param {Blob} blob
+     */
+    async getPerceptualHash(blob) {
+      const bitmap = await utils.getBitmap({ image: blob }, { resizeWidth: 9, resizeHeight: 8, resizeQuality: "medium" });
+      try {
+        const canvas = new OffscreenCanvas(9, 8);
+        const ctx = canvas.getContext("2d", { willReadFrequently: true });
+        if (!ctx) throw new Error("No 2d context.");
+        ctx.drawImage(bitmap, 0, 0);
+        const { data } = ctx.getImageData(0, 0, 9, 8);
+        /** @param {number} i */
+        const luminance = i => data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+
+        let hash = "";
+        for (let y = 0; y < 8; y++) {
+          let byte = 0;
+          for (let x = 0; x < 8; x++) {
+            const i = (y * 9 + x) * 4;
+            byte = (byte << 1) | (luminance(i) > luminance(i + 4) ? 1 : 0);
+          }
+          hash += byte.toString(16).padStart(2, "0");
+        }
+        return hash;
+      } finally {
+        bitmap.close();
+      }
+    },
 
-      /** @param {number} L @param {number} A @param {number} B */
-      oklab_to_linear_srgb(L, A, B) {
-        const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
-        const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
-        const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+    /** @param {string} a @param {string} b */
+    hammingDistance(a, b) {
+      let distance = 0;
+      for (let i = 0; i < a.length; i += 8) {
+        let bits = parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16);
+        for (; bits; distance++) bits &= bits - 1;
+      }
+      return distance;
+    },
 
-        return [
-          +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
-          -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
-          -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
-        ]
-      },
+    fillMissing: (() => {
+      let running = false;
+      /** @type {Set<number>} Items, which could not be decoded, so they aren't retried on every change. */
+      const failed = new Set();
+      /** @param {ImageItem} item */
+      const isMissing = item => (!item.thumbnail || !item.hash || !item.phash) && !failed.has(item.id);
+
+      /** Creates the thumbnails and hashes of images, which were added before they existed, or imported without them. One at a time. */
+      async function fillMissing() {
+        if (running) return;
+        running = true;
+        try {
+          let item;
+          while (Store && (item = Store.get().items.find(isMissing))) {
+            const { id } = item;
+            try {
+              const thumbnail = item.thumbnail ?? await utils.thumbnails.create({ image: item.edited ?? item.image, width: item.width });
+              const hash = item.hash ?? await utils.hashBlob(item.image);
+              const phash = item.phash ?? await utils.getPerceptualHash(thumbnail);
+              Store?.set(store => ({
+                items: store.items.map(e => e.id !== id ? e : {
+                  ...e, hash, phash,
+                  ...!e.thumbnail && { thumbnail, thumbSrc: URL.createObjectURL(thumbnail) },
+                })
+              }));
+            } catch (e) {
+              failed.add(id);
+              Logger.warn(meta.slug, `Could not create a thumbnail for ${item.image.name}.`, e);
+            }
+          }
+        } finally {
+          running = false;
+        }
+      };
+      return fillMissing;
+    })(),
 
+    thumbnails: {
       /**
-       * https://bottosson.github.io/posts/gamutclipping/#intersection-with-srgb-gamut
-       * A and B must be normalized, so A²+B²=1
-       * @param {number} A @param {number} B
+       * Downscales the image, or a frame of the video, to the gallery's size.
+       * @param {Pick<ImageItem, "image" | "width">} item
        */
-      compute_max_saturation(A, B) {
-        let k0, k1, k2, k3, k4, wl, wm, ws;
+      async create(item) {
+        const bitmap = await utils.getBitmap(item, item.width > THUMBNAIL_WIDTH ? { resizeWidth: THUMBNAIL_WIDTH, resizeQuality: "medium" } : undefined);
+        try {
+          const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+          canvas.getContext("2d")?.drawImage(bitmap, 0, 0);
+          return await canvas.convertToBlob({ type: "image/webp", quality: 0.8 });
+        } finally {
+          bitmap.close();
+        }
+      },
+    },
+
+    /** @param {ImageItem} prev @param {ImageItem} next */
+    isRecordChanged(prev, next) {
+      const prevRecord = utils.toRecord(prev);
+      const nextRecord = utils.toRecord(next);
+      return Object.keys({ ...prevRecord, ...nextRecord }).some(key => prevRecord[key] !== nextRecord[key]);
+    },
+
+    /**
+     * Fills in missing or outdated settings with the defaults.
+     * @param {Partial<typeof defaultSettings> | null | undefined} configs
+     * @param {{ albums: Album[], profiles: Profile[] }} references
+     * @returns {typeof defaultSettings}
+     */
+    mergeSettings(configs, { albums, profiles }) {
+      return {
+        ...defaultSettings, ...configs,
+        transition: {
+          ...defaultSettings.transition, ...configs?.transition,
+          type: transitionTypes.some(({ value }) => value === configs?.transition?.type) ? configs?.transition?.type ?? "fade" : "fade",
+          easings: { ...defaultSettings.transition.easings, ...configs?.transition?.easings },
+        },
+        slideshow: { ...defaultSettings.slideshow, ...configs?.slideshow },
+        adjustment: { ...defaultSettings.adjustment, ...configs?.adjustment },
+        schedule: { ...defaultSettings.schedule, ...configs?.schedule },
+        kenBurns: { ...defaultSettings.kenBurns, ...configs?.kenBurns },
+        compression: { ...defaultSettings.compression, ...configs?.compression },
+        storage: { ...defaultSettings.storage, ...configs?.storage },
+        activeAlbum: albums.some(album => album.id === configs?.activeAlbum) ? configs?.activeAlbum ?? null : null,
+        activeProfile: profiles.some(profile => profile.id === configs?.activeProfile) ? configs?.activeProfile ?? null : null,
+      };
+    },
+
+    profiles: {
+      /**
+       * @param {typeof defaultSettings} settings
+       * @returns {Profile["settings"]}
+       */
+      pick(settings) {
+        return {
+          transition: { ...settings.transition },
+          slideshow: { ...settings.slideshow },
+          kenBurns: { ...settings.kenBurns },
+          adjustment: { ...settings.adjustment },
+          accentColor: { ...settings.accentColor },
+          buttonLocation: { ...settings.buttonLocation },
+        };
+      },
+
+      /** @param {number | null} id */
+      switchTo(id) {
+        Store.set(store => {
+          const profile = store.profiles.find(profile => profile.id === id);
+          return {
+            settings: profile ?
+              utils.mergeSettings({ ...store.settings, ...utils.profiles.pick({ ...store.settings, ...profile.settings }), activeProfile: profile.id }, store) :
+              { ...store.settings, activeProfile: null }
+          };
+        });
+      },
+
+      /** Saves the current settings as a new profile, and switches to it. */
+      async duplicate() {
+        const { profiles, settings } = Store.get();
+        const current = profiles.find(profile => profile.id === settings.activeProfile);
+        const name = await utils.prompt("New Profile", {
+          value: current ? `${current.name} (Copy)` : "",
+          placeholder: "Profile name",
+          confirmText: "Create",
+        });
+        if (!name) return;
+
+        Store.set(store => {
+          const profile = { id: utils.nextId(store.profiles), name, settings: utils.profiles.pick(store.settings) };
+          return {
+            profiles: [...store.profiles, profile],
+            settings: { ...store.settings, activeProfile: profile.id },
+          };
+        });
+      },
+
+      /** @param {Profile} profile */
+      async rename(profile) {
+        const name = await utils.prompt("Rename Profile", { value: profile.name });
+        if (!name) return;
+
+        Store.set(store => ({ profiles: store.profiles.map(e => e.id === profile.id ? { ...e, name } : e) }));
+      },
+
+      /** @param {Profile} profile */
+      remove(profile) {
+        UI.showConfirmationModal("Delete Profile", `Delete the profile "${profile.name}"? Your current settings stay as they are.`, {
+          danger: true,
+          confirmText: "Delete",
+          onConfirm: () => {
+            Store.set(store => ({
+              profiles: store.profiles.filter(e => e.id !== profile.id),
+              settings: store.settings.activeProfile === profile.id ? { ...store.settings, activeProfile: null } : store.settings,
+            }));
+          }
+        });
+      },
+    },
+
+    /** @param {{ id: number }[]} list */
+    nextId(list) {
+      return list.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    },
+
+    /** @param {ImageItem[]} items */
+    nextOrder(items) {
+      return items.reduce((max, e) => Math.max(max, e.order ?? 0), 0) + 1;
+    },
+
+    /**
+     * Moves an image next to another one. Sequential queues are rebuilt in the new order.
+     * @param {number} id
+     * @param {number} targetId
+     * @param {boolean} after Whether to place it after the target, instead of before.
+     */
+    moveItem(id, targetId, after) {
+      Store.set(store => {
+        const from = store.items.findIndex(e => e.id === id);
+        if (from === -1 || id === targetId) return {};
+
+        const items = store.items.toSpliced(from, 1);
+        const to = items.findIndex(e => e.id === targetId);
+        if (to === -1) return {};
+        items.splice(after ? to + 1 : to, 0, store.items[from]);
+
+        return {
+          items: items.map((item, i) => item.order === i + 1 ? item : { ...item, order: i + 1 }),
+          queue: store.settings.slideshow.shuffle ? store.queue : store.queue.filter(entry => entry.pinned),
+        };
+      });
+    },
+
+    /**
+     * Applies the same change to several images at once.
+     * @param {Set<number>} ids
+     * @param {(item: ImageItem) => ImageItem} update
+     */
+    updateItems(ids, update) {
+      Store.set(store => ({ items: store.items.map(item => ids.has(item.id) ? update(item) : item) }));
+    },
+
+    /**
+     * Moves images to the trash, and offers to undo it right away.
+     * @param {Set<number>} ids
+     */
+    deleteItems(ids) {
+      const removed = Store.get().items.filter(item => ids.has(item.id));
+      if (!removed.length) return;
+
+      const deletedAt = Date.now();
+      Store.set(store => ({
+        items: store.items.filter(item => !ids.has(item.id)),
+        trash: [...store.trash, ...removed.map(item => ({ ...item, selected: false, deletedAt }))],
+        activeSrc: removed.some(item => item.selected) ? null : store.activeSrc,
+        history: store.history.filter(id => !ids.has(id)),
+      }));
+
+      /** @type {(() => void) | undefined} */
+      let close;
+      close = UI.showNotice(`Moved ${removed.length === 1 ? removed[0].image.name : `${removed.length} images`} to the trash.`, {
+        type: "info",
+        timeout: 8000,
+        buttons: [
+          { label: "Undo", onClick: () => { Store && utils.trash.restore(ids); close?.() } },
+        ]
+      });
+    },
+
+    /**
+     * Re-encodes images which are already in the library, with the format and quality of the import settings.
+     * Unlike on import, the size threshold is ignored, since the images were picked by hand.
+     * @param {ImageItem[]} items
+     */
+    async reencodeItems(items) {
+      const { compression } = Store.get().settings;
+      let count = 0;
+      let saved = 0;
+
+      UI.showToast(`Re-encoding ${items.length} image(s)...`, { type: "info" });
+      for (const item of items) {
+        const file = await utils.reencode(item.image, { ...compression, minSize: 0 }).catch(e => {
+          Logger.warn(meta.slug, `Could not re-encode ${item.image.name}.`, e);
+          return item.image;
+        });
+        if (file === item.image) continue;
+
+        const created = await utils.createItem(file);
+        let replaced = false;
+        Store.set(store => {
+          // Skip images which were deleted or changed in the meantime.
+          const current = store.items.find(e => e.id === item.id);
+          if (current?.image !== item.image) return {};
+
+          replaced = true;
+          utils.revokeUrls(current);
+          return {
+            items: store.items.map(e => e === current ? { ...e, ...created } : e),
+            activeSrc: current.selected ? created.src : store.activeSrc,
+          };
+        });
+
+        if (replaced) {
+          count++;
+          saved += item.image.size - file.size;
+          const current = Store.get().items.find(e => e.id === item.id);
+          current && item.edits?.length && await utils.edits.set(current, item.edits, false);
+        } else {
+          utils.revokeUrls(created);
+        }
+      }
+
+      count ?
+        UI.showToast(`Re-encoded ${count} image(s), saving ${utils.formatNumber(saved)}.`, { type: "success" }) :
+        UI.showToast("None of the images got any smaller.", { type: "info" });
+    },
+
+    /** @param {ImageItem} item @param {number | null} albumId */
+    inAlbum(item, albumId) {
+      return albumId == null || !!item.albums?.includes(albumId);
+    },
+
+    /**
+     * Every whitespace separated term has to match either the filename, a tag, the format or the resolution.
+     * @param {ImageItem} item @param {string} query
+     */
+    matchesQuery(item, query) {
+      const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+      if (!terms.length) return true;
+
+      const fields = [
+        item.image.name,
+        item.image.type,
+        item.width && item.height ? `${item.width}x${item.height}` : "",
+        ...item.tags ?? [],
+      ].map(field => field.toLowerCase());
+
+      return terms.every(term => fields.some(field => field.includes(term)));
+    },
+
+    /**
+     * The image's own adjustment values, falling back to the global ones.
+     * @param {typeof defaultSettings.adjustment} adjustment
+     * @param {ImageItem | null | undefined} item
+     */
+    getAdjustment(adjustment, item) {
+      return item?.adjustment ? { ...adjustment, ...item.adjustment } : adjustment;
+    },
+
+    /**
+     * The images the slideshow and the next button cycle through.
+     * @param {ReturnType<typeof Store.get>} store
+     */
+    getPool(store) {
+      const binding = utils.getBinding(store);
+      if (binding) {
+        const pool = store.items.filter(item => utils.matchesTarget(item, binding));
+        if (pool.length) return pool;
+      }
+
+      const entry = utils.getScheduledEntry(store.settings.schedule);
+      if (entry) {
+        const pool = store.items.filter(item => utils.matchesTarget(item, entry.target));
+        if (pool.length) return pool;
+      }
+
+      return store.items.filter(item => utils.inAlbum(item, store.settings.activeAlbum));
+    },
+
+    /**
+     * Start and end of the pan and zoom of a layer. The focal direction zooms into the focal point of the image,
+     * or the point it is positioned on, if it has none.
+     * The transform origin stays inside the layer, and the scale at or above 1, so the image always covers the screen.
+     * @param {typeof defaultSettings.kenBurns} kenBurns
+     * @param {{ from: number[], to: number[], zoomIn: boolean } | undefined} motion
+     */
+    getKenBurnsStyle(kenBurns, motion = { from: [0.5, 0.5], to: [0.5, 0.5], zoomIn: true }) {
+      const scale = 1 + kenBurns.zoom / 100;
+      /** @param {number[]} point */
+      const toOrigin = ([x, y]) => `${10 + x * 80}% ${10 + y * 80}%`;
+      const focal = "var(--BGM-focal, calc(50% - var(--BGM-position_x, 0%)) calc(50% - var(--BGM-position_y, 0%)))";
+      const zoomIn = kenBurns.direction === "focal" || motion.zoomIn;
+
+      return {
+        "--BGM-ken_burns": "BGM-ken-burns",
+        "--BGM-ken_burns_origin_from": kenBurns.direction === "focal" ? focal : toOrigin(motion.from),
+        "--BGM-ken_burns_origin_to": kenBurns.direction === "focal" ? focal : toOrigin(motion.to),
+        "--BGM-ken_burns_scale_from": `${zoomIn ? 1 : scale}`,
+        "--BGM-ken_burns_scale_to": `${zoomIn ? scale : 1}`,
+      };
+    },
+
+    /**
+     * Scales the image, so its crop covers the viewport, and moves the focal point as close to the center as the crop allows.
+     * Positions are in pixels from the top left of the viewport, the focal point in percent of it.
+     * @param {Pick<ImageItem, "width" | "height" | "focal" | "crop">} item
+     * @param {number[]} viewport Width and height
+     */
+    getFraming({ width, height, focal, crop = { x: 0, y: 0, width: 1, height: 1 } }, [viewWidth, viewHeight]) {
+      if (!width || !height || !viewWidth || !viewHeight) return null;
+
+      const point = focal ?? { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 };
+      const scale = Math.max(viewWidth / (crop.width * width), viewHeight / (crop.height * height));
+      const size = [width * scale, height * scale];
+      /** @param {number} view @param {number} full @param {number} start @param {number} extent @param {number} at */
+      const offset = (view, full, start, extent, at) => utils.clamp(view - (start + extent) * full, view / 2 - at * full, -start * full);
+      const position = [
+        offset(viewWidth, size[0], crop.x, crop.width, point.x),
+        offset(viewHeight, size[1], crop.y, crop.height, point.y),
+      ];
+
+      return {
+        size,
+        position,
+        focal: [
+          utils.clamp(0, (position[0] + point.x * size[0]) / viewWidth * 100, 100),
+          utils.clamp(0, (position[1] + point.y * size[1]) / viewHeight * 100, 100),
+        ],
+      };
+    },
+
+    /**
+     * Opens the focal point and crop editor for an image.
+     * @param {ImageItem} item
+     */
+    editFraming(item) {
+      const framing = { focal: item.focal, crop: item.crop };
+      UI.showConfirmationModal("Focal Point and Crop", jsx(Components.ErrorBoundary, null, jsx(Components.FramingEditor, { item, framing })), {
+        confirmText: "Save",
+        onConfirm: () => {
+          utils.updateItems(new Set([item.id]), ({ focal, crop, ...rest }) => ({
+            ...rest,
+            ...framing.focal && { focal: framing.focal },
+            ...framing.crop && { crop: framing.crop },
+          }));
+        },
+      });
+    },
+
+    /**
+     * How likely the shuffle is to pick the image. Unrated images count as 3 stars, excluded ones are never picked.
+     * @param {ImageItem} item
+     */
+    getWeight(item) {
+      return item.excluded ? 0 : item.rating ?? 3;
+    },
+
+    /**
+     * The target bound to the current channel, or else to the current server.
+     * @param {ReturnType<typeof Store.get>} store
+     * @returns {Target | null}
+     */
+    getBinding({ bindings, navigation }) {
+      return (navigation.channelId && bindings[navigation.channelId]) || (navigation.guildId && bindings[navigation.guildId]) || null;
+    },
+
+    /**
+     * @param {Target} target
+     * @param {ReturnType<typeof Store.get>} store
+     */
+    describeTarget(target, { albums, items }) {
+      return target.type === "album" ?
+        `Album: ${albums.find(album => album.id === target.id)?.name ?? "Deleted album"}` :
+        `Image: ${items.find(item => item.id === target.id)?.image.name ?? "Deleted image"}`;
+    },
+
+    /** @param {ImageItem} item @param {Target} target */
+    matchesTarget(item, target) {
+      return target.type === "album" ? utils.inAlbum(item, target.id) : item.id === target.id;
+    },
+
+    /** @param {string} time "HH:MM" */
+    parseTime(time) {
+      const [hours, minutes] = time.split(":").map(Number);
+      return hours * 60 + minutes;
+    },
+
+    /**
+     * The first entry whose time range contains the given time. Ranges may wrap around midnight.
+     * @param {typeof defaultSettings.schedule} schedule
+     * @param {Date} [date]
+     */
+    getScheduledEntry(schedule, date = new Date()) {
+      if (!schedule.enabled) return null;
+
+      const now = date.getHours() * 60 + date.getMinutes();
+      return schedule.entries.find(({ start, end }) => {
+        const from = utils.parseTime(start);
+        const to = utils.parseTime(end);
+        return from <= to ? from <= now && now < to || from === to : from <= now || now < to;
+      }) ?? null;
+    },
+
+    /**
+     * Moves the selection to the given item, or removes it if null. The previous image is added to the history.
+     * @param {ReturnType<typeof Store.get>} store
+     * @param {ImageItem | null} item
+     * @returns {Partial<ReturnType<typeof Store.get>>}
+     */
+    selectItem(store, item) {
+      const items = [...store.items];
+      const currIdx = items.findIndex(e => e.selected);
+      const newIdx = item ? items.findIndex(e => e.src === item.src) : -1;
+      if (newIdx === currIdx || (item && !(newIdx in items))) return {};
+
+      let history = store.history;
+      if (currIdx in items) {
+        items[currIdx] = { ...items[currIdx], selected: false };
+        history = [...history, items[currIdx].id].slice(-HISTORY_SIZE);
+      }
+      if (!(newIdx in items)) return { items, history, activeSrc: null };
+
+      items[newIdx] = { ...items[newIdx], selected: true };
+      return { items, history, activeSrc: items[newIdx].src };
+    },
+
+    /**
+     * Opens a modal with a single text input.
+     * @param {string} title
+     * @param {{ value?: string, placeholder?: string, confirmText?: string }} [options]
+     * @returns {Promise<string | null>} The trimmed input, or null if cancelled.
+     */
+    prompt(title, { value = "", placeholder, confirmText = "Save" } = {}) {
+      return new Promise(resolve => {
+        const input = { value };
+        UI.showConfirmationModal(title, jsx(Components.TextPrompt, { input, placeholder }), {
+          confirmText,
+          onConfirm: () => resolve(input.value.trim()),
+          onCancel: () => resolve(null),
+        });
+      });
+    },
+
+    /** @param {ImageItem | HTMLImageElement} image */
+    async getAverageColors(image) {
+      const canvas = new OffscreenCanvas(image.width, image.height);
+      const ctx = canvas.getContext("2d");
+      if (!ctx) throw new Error("");
+
+      if (image instanceof HTMLImageElement) {
+        ctx.drawImage(image, 0, 0, image.width, image.height);
+      } else {
+        const bitmap = await utils.getBitmap({ image: image.edited ?? image.image });
+        ctx.drawImage(bitmap, 0, 0, image.width, image.height);
+        bitmap.close();
+      }
+
+      const { data } = ctx.getImageData(0, 0, image.width, image.height);
+
+      // mini batch k-means
+      const max_iters = 50;
+      const batch_size = 2048;
+      const n_pixels = data.length / 4;
+      const k = utils.clamp(1, n_pixels, 6);
+
+      const sums = new Uint32Array(k * 3);
+      const counts = new Uint32Array(k);
+      const new_centroids = new Float64Array(k * 3);
+      const centroids = new Float64Array(k * 3);
+      for (let i = 0; i < k; i++) {
+        const idx = Math.floor((i + 1) / (k + 1) * n_pixels);
+        centroids[i * 3 + 0] = data[idx * 4 + 0];
+        centroids[i * 3 + 1] = data[idx * 4 + 1];
+        centroids[i * 3 + 2] = data[idx * 4 + 2];
+      }
+
+      for (let iter = 0; iter < max_iters; iter++) {
+        for (let i = 0; i < batch_size; i++) {
+          // getBatch()
+          const idx = Math.floor(Math.random() * n_pixels);
+          const r = data[idx * 4 + 0];
+          const g = data[idx * 4 + 1];
+          const b = data[idx * 4 + 2];
+
+          // distances
+          let bestIdx = 0;
+          let bestDist = 195075; // 3*255*255 - maximum distance
+          for (let c = 0; c < k; c++) {
+            const dr = centroids[c * 3 + 0] - r;
+            const dg = centroids[c * 3 + 1] - g;
+            const db = centroids[c * 3 + 2] - b;
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+              // labels
+              bestDist = dist;
+              bestIdx = c;
+            }
+          }
+
+          // new averages
+          sums[bestIdx * 3 + 0] += r;
+          sums[bestIdx * 3 + 1] += g;
+          sums[bestIdx * 3 + 2] += b;
+          counts[bestIdx]++;
+        }
+
+        let converged = true;
+        for (let i = 0; i < k; i++) {
+          if (counts[i] > 0) {
+            new_centroids[i * 3 + 0] = sums[i * 3 + 0] / counts[i];
+            new_centroids[i * 3 + 1] = sums[i * 3 + 1] / counts[i];
+            new_centroids[i * 3 + 2] = sums[i * 3 + 2] / counts[i];
+          } else {
+            new_centroids[i * 3 + 0] = centroids[i * 3 + 0];
+            new_centroids[i * 3 + 1] = centroids[i * 3 + 1];
+            new_centroids[i * 3 + 2] = centroids[i * 3 + 2];
+          }
+
+          const dr = new_centroids[i * 3 + 0] - centroids[i * 3 + 0];
+          const dg = new_centroids[i * 3 + 1] - centroids[i * 3 + 1];
+          const db = new_centroids[i * 3 + 2] - centroids[i * 3 + 2];
+          if (dr * dr + dg * dg + db * db > 1e-8) converged = false;
+        }
+
+        if (converged) break;
+
+        sums.fill(0);
+        counts.fill(0);
+        centroids.set(new_centroids);
+      }
+
+      const accents = new Array(k).fill(null)
+        .map((_, i) => [centroids[i * 3 + 0], centroids[i * 3 + 1], centroids[i * 3 + 2]])
+        .sort((c1, c2) => {
+          const [L1, A1, B1] = utils.colors.rgbToLab(c1[0] / 255, c1[1] / 255, c1[2] / 255);
+          const [L2, A2, B2] = utils.colors.rgbToLab(c2[0] / 255, c2[1] / 255, c2[2] / 255);
+          const C1 = Math.hypot(A1, B1);
+          const C2 = Math.hypot(A2, B2);
+
+          const [L1_cusp] = utils.colors.findCusp(A1 / C1, B1 / C1);
+          const [L2_cusp] = utils.colors.findCusp(A2 / C2, B2 / C2);
+
+          // Triangular approximation of gamut border
+          const V1 = C1 * (L1 < L1_cusp ? L1 / L1_cusp : (1 - L1) / (1 - L1_cusp));
+          const V2 = C2 * (L2 < L2_cusp ? L2 / L2_cusp : (1 - L2) / (1 - L2_cusp));
+
+          return V2 - V1;
+        })
+        .map(c => new Uint8ClampedArray(c));
+
+      return {
+        signature: utils.colors.signature,
+        primary1: accents[0],
+        primary2: accents[1],
+        secondary1: accents[2],
+        secondary2: accents[3],
+      }
+    },
+
+    colors: {
+      signature: "MiniBatchKMeans(6,2048)",
+      /**
+       * https://bottosson.github.io/posts/colorwrong/#what-can-we-do%3F
+       * https://bottosson.github.io/posts/oklab/#converting-from-linear-srgb-to-oklab
+       * sRGB must be normalized, so sRGB ∈ [0,1]
+       * @param {number} sR @param {number} sG @param {number} sB
+       */
+      rgbToLab(sR, sG, sB) {
+        const r = sR <= 0.04045 ? sR / 12.92 : ((sR + 0.055) / 1.055) ** 2.4;
+        const g = sG <= 0.04045 ? sG / 12.92 : ((sG + 0.055) / 1.055) ** 2.4;
+        const b = sB <= 0.04045 ? sB / 12.92 : ((sB + 0.055) / 1.055) ** 2.4;
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        return [
+          0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+          1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+          0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ]
+      },
+
+      /** @param {number} L @param {number} A @param {number} B */
+      oklab_to_linear_srgb(L, A, B) {
+        const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+        const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+        const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+
+        return [
+          +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+          -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+          -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+        ]
+      },
+
+      /**
+       * https://bottosson.github.io/posts/gamutclipping/#intersection-with-srgb-gamut
+       * A and B must be normalized, so A²+B²=1
+       * @param {number} A @param {number} B
+       */
+      compute_max_saturation(A, B) {
+        let k0, k1, k2, k3, k4, wl, wm, ws;
 
         if (-1.88170328 * A - 0.80936493 * B > 1) {
           // Red component
@@ -610,57 +1711,775 @@ module.exports = meta => {
       return num.toString();
     },
 
-    /** @param {Uint8Array} buffer */
-    getImageType(buffer) {
-      const mimeTypes = [
-        { mime: 'image/png', pattern: [0x89, 0x50, 0x4E, 0x47] },
-        { mime: 'image/jpeg', pattern: [0xFF, 0xD8, 0xFF] },
-        { mime: 'image/bmp', pattern: [0x42, 0x4D] },
-        { mime: 'image/gif', pattern: [0x47, 0x49, 0x46, 0x38] },
-        { mime: 'image/avif', pattern: [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] },
-        { mime: 'image/webp', pattern: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
-        { mime: 'image/svg+xml', pattern: [0x3C, 0x73, 0x76, 0x67] },
-        { mime: 'image/x-icon', pattern: [0x00, 0x00, 0x01, 0x00] },
-      ];
-      for (const { mime, pattern } of mimeTypes)
-        if (pattern.every((e, i) => e === null || e === buffer[i]))
-          return mime;
-      return '';
+    /** @param {Blob} blob */
+    isVideo(blob) {
+      return blob.type.startsWith("video/");
+    },
+
+    /**
+     * @param {string} src @param {string} type
+     * @returns {Promise<{ width: number, height: number }>}
+     */
+    getDimensions(src, type) {
+      return new Promise((resolve, reject) => {
+        if (type.startsWith("video/")) {
+          const video = document.createElement("video");
+          video.muted = true;
+          video.preload = "metadata";
+          video.onloadedmetadata = () => { resolve({ width: video.videoWidth, height: video.videoHeight }) };
+          video.onerror = () => reject(video.error);
+          video.src = src;
+        } else {
+          const img = new Image();
+          img.onload = () => { resolve({ width: img.naturalWidth, height: img.naturalHeight }) };
+          img.onerror = () => reject(new Error("Could not load image."));
+          img.src = src;
+        }
+      });
+    },
+
+    /**
+     * Decodes the image, or a frame from the start of the video.
+     * @param {Pick<ImageItem, "image">} item
+     * @param {ImageBitmapOptions} [options]
+     */
+    async getBitmap(item, options) {
+      if (!utils.isVideo(item.image)) return createImageBitmap(item.image, options);
+
+      const src = URL.createObjectURL(item.image);
+      const video = document.createElement("video");
+      try {
+        video.muted = true;
+        video.preload = "auto";
+        await new Promise((resolve, reject) => {
+          video.onloadeddata = resolve;
+          video.onerror = () => reject(video.error);
+          video.src = src;
+        });
+        // The first frame is often a black fade in.
+        await new Promise(resolve => {
+          video.onseeked = resolve;
+          video.currentTime = Math.min(1, video.duration / 10);
+        });
+        return await createImageBitmap(video, options);
+      } finally {
+        video.removeAttribute("src");
+        video.load();
+        URL.revokeObjectURL(src);
+      }
+    },
+
+    /** @param {Blob} blob */
+    async hashBlob(blob) {
+      const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+    },
+
+    /**
+     * Whether the PNG, WebP or AVIF has more than one frame. Other types are answered by their MIME type alone.
+     * @param {Blob} blob
+     */
+    async isAnimated(blob) {
+      if (!["image/png", "image/webp", "image/avif"].includes(blob.type)) return blob.type === "image/gif";
+      const buffer = new Uint8Array(await blob.arrayBuffer());
+      const view = new DataView(buffer.buffer);
+      /** @param {number} offset */
+      const fourCC = offset => String.fromCharCode(...buffer.subarray(offset, offset + 4));
+
+      if (blob.type === "image/png") {
+        // APNG declares its frames in an "acTL" chunk, which has to come before the image data.
+        for (let offset = 8; offset + 8 <= buffer.length; offset += view.getUint32(offset) + 12) {
+          const type = fourCC(offset + 4);
+          if (type === "acTL") return true;
+          if (type === "IDAT") return false;
+        }
+      } else if (blob.type === "image/webp") {
+        for (let offset = 12; offset + 8 <= buffer.length; offset += 8 + view.getUint32(offset + 4, true) + (view.getUint32(offset + 4, true) & 1)) {
+          const type = fourCC(offset);
+          if (type === "ANIM" || type === "ANMF") return true;
+          if (type === "VP8X" && buffer[offset + 8] & 0x02) return true;
+        }
+      } else if (buffer.length >= 16) {
+        // The "avis" brand marks an image sequence, either as the major brand or as one of the compatible ones.
+        const size = Math.min(view.getUint32(0), buffer.length);
+        for (let offset = 8; offset + 4 <= size; offset += offset === 8 ? 8 : 4) {
+          if (fourCC(offset) === "avis") return true;
+        }
+      }
+      return false;
+    },
+
+    /** @param {Uint8Array} buffer */
+    getImageType(buffer) {
+      // ISO media files, like MP4, AVIF and HEIC, share the "ftyp" box and only differ by their major brand.
+      /** @param {string} brand */
+      const ftyp = brand => [null, null, null, null, 0x66, 0x74, 0x79, 0x70, ...[...brand].map(c => c.charCodeAt(0))];
+      const mimeTypes = [
+        { mime: 'image/png', pattern: [0x89, 0x50, 0x4E, 0x47] },
+        { mime: 'image/jpeg', pattern: [0xFF, 0xD8, 0xFF] },
+        { mime: 'image/bmp', pattern: [0x42, 0x4D] },
+        { mime: 'image/gif', pattern: [0x47, 0x49, 0x46, 0x38] },
+        { mime: 'image/avif', pattern: [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] },
+        { mime: 'image/avif', pattern: ftyp('avis') },
+        { mime: 'image/webp', pattern: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+        { mime: 'image/svg+xml', pattern: [0x3C, 0x73, 0x76, 0x67] },
+        { mime: 'image/x-icon', pattern: [0x00, 0x00, 0x01, 0x00] },
+        { mime: 'video/webm', pattern: [0x1A, 0x45, 0xDF, 0xA3] },
+        ...['isom', 'iso2', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4', 'MSNV'].map(brand => ({ mime: 'video/mp4', pattern: ftyp(brand) })),
+      ];
+      for (const { mime, pattern } of mimeTypes)
+        if (pattern.every((e, i) => e === null || e === buffer[i]))
+          return mime;
+      return '';
+    },
+
+    /** @param {Blob} blob */
+    async getFileExtension(blob) {
+      const arrayBuffer = new Uint8Array(await blob.arrayBuffer());
+      const extensions = {
+        jpeg: [[0xFF, 0xD8, 0xFF, 0xEE]],
+        jpg: [[0xFF, 0xD8, 0xFF, 0xDB], [0xFF, 0xD8, 0xFF, 0xE0], [0xFF, 0xD8, 0xFF, 0xE1]],
+        png: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+        bmp: [[0x42, 0x4D]],
+        gif: [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+        heic: [[0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63]],
+        avif: [[0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66]],
+        webp: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+        svg: [[0x3C, 0x73, 0x76, 0x67]],
+        ico: [[0x00, 0x00, 0x01, 0x00]],
+        webm: [[0x1A, 0x45, 0xDF, 0xA3]],
+        mp4: [[null, null, null, null, 0x66, 0x74, 0x79, 0x70]],
+      }
+      for (const [ext, signs] of Object.entries(extensions)) {
+        for (const sign of signs) {
+          if (sign.every((e, i) => e === null || e === arrayBuffer[i])) {
+            return ext;
+          }
+        }
+      }
+      return null;
+    },
+
+    zip: {
+      /** @type {Uint32Array | null} */
+      crcTable: null,
+
+      /** @param {Uint8Array} data */
+      crc32(data) {
+        if (!utils.zip.crcTable) {
+          utils.zip.crcTable = new Uint32Array(256).map((_, n) => {
+            for (let k = 0; k < 8; k++) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+            return n;
+          });
+        }
+        const table = utils.zip.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+          crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+      },
+
+      /**
+       * Creates an uncompressed zip archive. Images are already compressed, so deflating them gains next to nothing.
+       * The files are only read one at a time for their checksum, and the archive refers to them as parts, instead of copying them.
+       * @param {{ name: string, data: Blob }[]} files
+       * @returns {Promise<Blob>}
+       */
+      async create(files) {
+        const encoder = new TextEncoder();
+        /** @type {BlobPart[]} */
+        const parts = [];
+        /** @type {BlobPart[]} */
+        const centralDirectory = [];
+        let offset = 0;
+        let centralSize = 0;
+
+        for (const { name, data } of files) {
+          const nameBytes = encoder.encode(name);
+          const crc = utils.zip.crc32(new Uint8Array(await data.arrayBuffer()));
+          if (offset + data.size > 0xFFFFFFFF) throw new Error("Archive exceeds the maximum size of 4 GiB.");
+
+          const local = new DataView(new ArrayBuffer(30));
+          local.setUint32(0, 0x04034B50, true);
+          local.setUint16(4, 20, true);
+          local.setUint16(6, 0x0800, true); // UTF-8 file names
+          local.setUint16(12, 0x0021, true); // 1980-01-01
+          local.setUint32(14, crc, true);
+          local.setUint32(18, data.size, true);
+          local.setUint32(22, data.size, true);
+          local.setUint16(26, nameBytes.length, true);
+
+          const central = new DataView(new ArrayBuffer(46));
+          central.setUint32(0, 0x02014B50, true);
+          central.setUint16(4, 20, true);
+          central.setUint16(6, 20, true);
+          central.setUint16(8, 0x0800, true);
+          central.setUint16(14, 0x0021, true);
+          central.setUint32(16, crc, true);
+          central.setUint32(20, data.size, true);
+          central.setUint32(24, data.size, true);
+          central.setUint16(28, nameBytes.length, true);
+          central.setUint32(42, offset, true);
+
+          parts.push(local, nameBytes, data);
+          centralDirectory.push(central, nameBytes);
+          offset += 30 + nameBytes.length + data.size;
+          centralSize += 46 + nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: "application/zip" });
+      },
+
+      /**
+       * Reads the table of contents of a zip archive. Supports stored and deflated files.
+       * @param {Uint8Array} buffer
+       */
+      read(buffer) {
+        const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        const decoder = new TextDecoder();
+
+        let end = buffer.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+        if (end < 0) throw new Error("Not a zip archive.");
+
+        /** @type {Map<string, { method: number, size: number, offset: number }>} */
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+          if (view.getUint32(pos, true) !== 0x02014B50) throw new Error("Corrupted zip archive.");
+
+          const nameLength = view.getUint16(pos + 28, true);
+          entries.set(decoder.decode(buffer.subarray(pos + 46, pos + 46 + nameLength)), {
+            method: view.getUint16(pos + 10, true),
+            size: view.getUint32(pos + 20, true),
+            offset: view.getUint32(pos + 42, true),
+          });
+          pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+
+        /** @param {string} name @returns {Promise<Uint8Array>} */
+        async function extract(name) {
+          const entry = entries.get(name);
+          if (!entry) throw new Error(`Missing file in archive: ${name}`);
+
+          const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+          const data = buffer.subarray(start, start + entry.size);
+          if (entry.method === 0) return data;
+          if (entry.method !== 8) throw new Error(`Unsupported compression in archive: ${name}`);
+
+          const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+          return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        return { names: [...entries.keys()], extract };
+      },
+    },
+
+    library: {
+      /**
+       * Packs the images, their metadata, the albums and the settings into a single archive.
+       * @param {ImageItem[]} items
+       */
+      async createArchive(items) {
+        const { settings, albums } = Store.get();
+        const files = [];
+        const records = [];
+
+        for (const [i, item] of items.entries()) {
+          const file = `images/${i + 1}-${item.image.name.replace(/[\\/]/g, "_")}`;
+          files.push({ name: file, data: item.image });
+          const record = utils.toRecord(item);
+          records.push({ ...record, file, name: item.image.name, type: item.image.type });
+        }
+
+        const manifest = {
+          format: DATA_BASE_NAME,
+          version: 1,
+          pluginVersion: meta.version,
+          settings,
+          albums: albums.filter(album => items.some(item => item.albums?.includes(album.id))),
+          items: records,
+        };
+        const json = JSON.stringify(manifest, (_, value) => value instanceof Uint8ClampedArray ? Array.from(value) : value, 2);
+
+        return utils.zip.create([{ name: "manifest.json", data: new Blob([json]) }, ...files]);
+      },
+
+      /**
+       * Adds the images of an archive to the library, or replaces the library including its albums and settings.
+       * @param {Uint8Array} data
+       * @param {{ mode: "merge" | "replace", skipDuplicates: boolean }} options
+       * @returns {Promise<{ added: number, skipped: number } | null>} Null, if the size cap refused the images.
+       */
+      async importArchive(data, { mode, skipDuplicates }) {
+        const archive = utils.zip.read(data);
+        const manifest = JSON.parse(new TextDecoder().decode(await archive.extract("manifest.json")));
+        if (manifest?.format !== DATA_BASE_NAME || !Array.isArray(manifest.items)) {
+          throw new Error("Not a Background Manager library.");
+        }
+
+        const hashes = new Set(mode === "merge" && skipDuplicates ? await Promise.all(Store.get().items.map(item => item.hash ?? utils.hashBlob(item.image))) : []);
+        /** @type {ImageItem[]} */
+        const imported = [];
+        let skipped = 0;
+
+        for (const { file, name, type, color, ...record } of manifest.items) {
+          const image = new File([await archive.extract(file)], name, { type });
+          if (skipDuplicates) {
+            const hash = record.hash ?? await utils.hashBlob(image);
+            if (hashes.has(hash)) {
+              skipped++;
+              continue;
+            }
+            hashes.add(hash);
+          }
+
+          imported.push({
+            ...record,
+            image,
+            src: URL.createObjectURL(image),
+            color: color && Object.fromEntries(Object.entries(color).map(([key, value]) => [key, Array.isArray(value) ? new Uint8ClampedArray(value) : value])),
+          });
+        }
+
+        const size = imported.reduce((sum, item) => sum + item.image.size, 0);
+        if (!utils.checkSizeCap("The archive", size, mode === "replace")) {
+          imported.forEach(utils.revokeUrls);
+          return null;
+        }
+
+        /** @type {Album[]} */
+        const importedAlbums = Array.isArray(manifest.albums) ? manifest.albums : [];
+
+        Store.set(store => {
+          if (mode === "replace") {
+            store.items.forEach(utils.revokeUrls);
+            store.trash.forEach(utils.revokeUrls);
+            const selected = imported.find(item => item.selected);
+            const items = imported.map((item, i) => ({ ...item, id: i + 1, order: i + 1, selected: item === selected }));
+            // Profile ids are only unique per machine, so the archive's active profile may be an unrelated local one.
+            const settings = utils.mergeSettings({ ...manifest.settings, activeProfile: null }, { albums: importedAlbums, profiles: store.profiles });
+
+            // The images are numbered anew, so the schedule follows them. Everything else referred to the old library.
+            /** @type {Map<number, number>} */
+            const itemIds = new Map(imported.map((item, i) => [item.id, i + 1]));
+            const entries = settings.schedule.entries
+              .filter(entry => entry.target.type !== "image" || itemIds.has(entry.target.id))
+              .map(entry => entry.target.type === "image" ? { ...entry, target: { ...entry.target, id: itemIds.get(entry.target.id) ?? entry.target.id } } : entry);
+
+            return {
+              items,
+              trash: [],
+              albums: importedAlbums,
+              bindings: {},
+              queue: [],
+              history: [],
+              activeSrc: selected?.src ?? null,
+              settings: { ...settings, schedule: { ...settings.schedule, entries } },
+            };
+          }
+
+          // Albums are matched by their name, everything else is added.
+          const albums = [...store.albums];
+          /** @type {Map<number, number>} */
+          const albumIds = new Map();
+          for (const album of importedAlbums) {
+            let target = albums.find(e => e.name === album.name);
+            if (!target) {
+              target = { id: utils.nextId(albums), name: album.name };
+              albums.push(target);
+            }
+            albumIds.set(album.id, target.id);
+          }
+
+          const items = [...store.items];
+          for (const item of imported) {
+            items.push({
+              ...item,
+              id: utils.nextId([...items, ...store.trash]),
+              order: utils.nextOrder([...items, ...store.trash]),
+              selected: false,
+              albums: item.albums?.map(id => albumIds.get(id)).filter(id => id != null),
+            });
+          }
+
+          return { items, albums };
+        });
+
+        return { added: imported.length, skipped };
+      },
+
+      /** @param {ImageItem[]} items */
+      async exportToFile(items) {
+        if (!items.length) {
+          UI.showToast("There are no images to export.", { type: "warning" });
+          return;
+        }
+
+        try {
+          UI.showToast(`Exporting ${items.length} image(s)...`, { type: "info" });
+          const archive = await utils.library.createArchive(items);
+          // The native dialog only takes a buffer, so this is the one full copy of the library.
+          await DiscordNative.fileManager.saveWithDialog(new Uint8Array(await archive.arrayBuffer()), "BackgroundManager-library.zip");
+        } catch (e) {
+          Logger.error(meta.slug, e);
+          UI.showToast(`Failed to export library. ${e}`, { type: "error" });
+        }
+      },
+
+      /** @param {{ mode: "merge" | "replace", skipDuplicates: boolean }} options */
+      importFromFile(options) {
+        const pick = () => DiscordNative?.fileManager?.openFiles?.({
+          properties: ["openFile"],
+          filters: [{ name: "Background Manager Library", extensions: ["zip"] }],
+        }).then(async files => {
+          const file = files?.[0];
+          if (!file?.data) return;
+
+          const result = await utils.library.importArchive(file.data, options);
+          if (!result) return;
+
+          const { added, skipped } = result;
+          UI.showToast(`Imported ${added} image(s)${skipped ? `, skipped ${skipped} duplicate(s)` : ""}.`, { type: "success" });
+        }).catch(e => {
+          Logger.error(meta.slug, e);
+          UI.showToast(`Failed to import library. ${e.message ?? e}`, { type: "error" });
+        });
+
+        if (options.mode !== "replace") return void pick();
+
+        UI.showConfirmationModal(
+          "Replace Library",
+          "This will replace every image, album and setting with the contents of the imported library.\n\nAre you sure?",
+          { danger: true, confirmText: "Replace", onConfirm: pick }
+        );
+      },
+    },
+
+    edits: {
+      /**
+       * Draws the image with its edits applied in order. PNG, JPEG and WebP keep their format, everything else becomes a PNG.
+       * @param {Pick<ImageItem, "image" | "edits">} item
+       * @param {string} [type]
+       * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+       */
+      async render({ image, edits = [] }, type = ["image/png", "image/jpeg", "image/webp"].includes(image.type) ? image.type : "image/png") {
+        const bitmap = await utils.getBitmap({ image });
+        try {
+          /** @type {ImageBitmap | OffscreenCanvas} */
+          let source = bitmap;
+          for (const edit of edits) {
+            const { width, height } = source;
+            const canvas = edit.type === "rotate" && edit.turns % 2 ? new OffscreenCanvas(height, width) :
+              edit.type === "crop" ? new OffscreenCanvas(Math.max(1, Math.round(edit.width * width)), Math.max(1, Math.round(edit.height * height))) :
+                new OffscreenCanvas(width, height);
+            const ctx = canvas.getContext("2d");
+            if (!ctx) throw new Error("Could not create a canvas.");
+
+            if (edit.type === "rotate") {
+              ctx.translate(canvas.width / 2, canvas.height / 2);
+              ctx.rotate(edit.turns * Math.PI / 2);
+              ctx.drawImage(source, -width / 2, -height / 2);
+            } else if (edit.type === "flip") {
+              ctx.translate(edit.axis === "x" ? width : 0, edit.axis === "y" ? height : 0);
+              ctx.scale(edit.axis === "x" ? -1 : 1, edit.axis === "y" ? -1 : 1);
+              ctx.drawImage(source, 0, 0);
+            } else {
+              ctx.drawImage(source, Math.round(edit.x * width), Math.round(edit.y * height), canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+            }
+            source = canvas;
+          }
+
+          const canvas = source instanceof OffscreenCanvas ? source : new OffscreenCanvas(source.width, source.height);
+          source instanceof OffscreenCanvas || canvas.getContext("2d")?.drawImage(source, 0, 0);
+          return { blob: await canvas.convertToBlob({ type, quality: 0.95 }), width: canvas.width, height: canvas.height };
+        } finally {
+          bitmap.close();
+        }
+      },
+
+      /**
+       * Replaces the edit list of an image, and shows the new version everywhere. The original file is kept as it is.
+       * The focal point and crop are reset, as they belong to the previous version.
+       * @param {ImageItem} item
+       * @param {ImageEdit[]} edits
+       * @param {boolean} [resetFraming]
+       */
+      async set(item, edits, resetFraming = true) {
+        const result = edits.length ? await utils.edits.render({ image: item.image, edits }) : null;
+        const display = result?.blob ?? item.image;
+        const src = URL.createObjectURL(display);
+        const { width, height } = result ?? await utils.getDimensions(src, display.type);
+        const thumbnail = await utils.thumbnails.create({ image: display, width }).catch(() => undefined);
+        const thumbSrc = thumbnail ? URL.createObjectURL(thumbnail) : null;
+
+        Store.set(store => {
+          const current = store.items.find(e => e.id === item.id);
+          if (current?.image !== item.image) {
+            utils.revokeUrls({ src, thumbSrc });
+            return {};
+          }
+
+          utils.revokeUrls(current);
+          const { edits: _, edited, focal, crop, thumbnail: __, color, ...rest } = current;
+          return {
+            items: store.items.map(e => e !== current ? e : {
+              ...rest,
+              ...!resetFraming && { focal, crop },
+              ...result && { edits, edited: result.blob },
+              width, height, src, thumbnail, thumbSrc,
+            }),
+            activeSrc: current.selected ? src : store.activeSrc,
+          };
+        });
+      },
+
+      fillMissing: (() => {
+        let running = false;
+        /** @type {Set<number>} Images, whose edits could not be applied, so they aren't retried on every change. */
+        const failed = new Set();
+        /** @param {ImageItem} item */
+        const isMissing = item => !!item.edits?.length && !item.edited && !failed.has(item.id);
+
+        /** Renders the edited images, which show their original until then. One at a time, after the store is ready. */
+        async function fillMissing() {
+          if (running) return;
+          running = true;
+          try {
+            let item;
+            while (Store && (item = Store.get().items.find(isMissing))) {
+              const { id, image, edits } = item;
+              try {
+                const { blob, width } = await utils.edits.render(item);
+                // Images imported without a thumbnail may have got one of the original meanwhile.
+                const thumbnail = item.thumbnail ? undefined : await utils.thumbnails.create({ image: blob, width }).catch(() => undefined);
+                const src = URL.createObjectURL(blob);
+                const thumbSrc = thumbnail ? URL.createObjectURL(thumbnail) : null;
+                Store?.set(store => {
+                  const current = store.items.find(e => e.id === id);
+                  if (current?.image !== image || current.edits !== edits) {
+                    utils.revokeUrls({ src, thumbSrc });
+                    return {};
+                  }
+
+                  current.src && URL.revokeObjectURL(current.src);
+                  thumbSrc && current.thumbSrc && URL.revokeObjectURL(current.thumbSrc);
+                  return {
+                    items: store.items.map(e => e === current ? { ...e, edited: blob, src, ...thumbnail && { thumbnail, thumbSrc } } : e),
+                    activeSrc: current.selected ? src : store.activeSrc,
+                  };
+                });
+              } catch (e) {
+                failed.add(id);
+                Logger.warn(meta.slug, `Could not apply the edits of ${image.name}.`, e);
+              }
+            }
+          } finally {
+            running = false;
+          }
+        };
+        return fillMissing;
+      })(),
+
+      /**
+       * Appends an edit, after the ones which are still being rendered.
+       * @param {number} id
+       * @param {ImageEdit} edit
+       */
+      push(id, edit) {
+        utils.enqueueAsync(async () => {
+          const item = Store.get().items.find(e => e.id === id);
+          item && await utils.edits.set(item, [...item.edits ?? [], edit]);
+        }).catch(e => UI.showToast(`Failed to edit image. ${e}`, { type: "error" }));
+      },
+
+      /**
+       * Drops the last edit, or all of them.
+       * @param {number} id
+       * @param {boolean} [all]
+       */
+      undo(id, all = false) {
+        utils.enqueueAsync(async () => {
+          const item = Store.get().items.find(e => e.id === id);
+          item?.edits?.length && await utils.edits.set(item, all ? [] : item.edits.slice(0, -1));
+        }).catch(e => UI.showToast(`Failed to edit image. ${e}`, { type: "error" }));
+      },
+
+      /**
+       * Opens the crop editor on the current version of the image.
+       * @param {ImageItem} item
+       */
+      crop(item) {
+        /** @type {Pick<ImageItem, "focal" | "crop">} */
+        const framing = {};
+        UI.showConfirmationModal("Crop Image", jsx(Components.ErrorBoundary, null, jsx(Components.FramingEditor, { item, framing, modes: ["crop"] })), {
+          confirmText: "Crop",
+          onConfirm: () => { framing.crop && utils.edits.push(item.id, { type: "crop", ...framing.crop }) },
+        });
+      },
+    },
+
+    trash: {
+      /**
+       * Puts images back into the library, at their previous position.
+       * @param {Set<number>} ids
+       */
+      restore(ids) {
+        Store.set(store => {
+          const restored = store.trash.filter(item => ids.has(item.id));
+          if (!restored.length) return {};
+
+          return {
+            trash: store.trash.filter(item => !ids.has(item.id)),
+            items: [
+              ...store.items,
+              ...restored.map(({ deletedAt, ...item }) => ({
+                ...item, albums: item.albums?.filter(id => store.albums.some(album => album.id === id))
+              }))
+            ].sort((a, b) => a.order - b.order),
+          };
+        });
+      },
+
+      /**
+       * Deletes images from the trash for good.
+       * @param {Set<number>} ids
+       */
+      purge(ids) {
+        Store.set(store => {
+          const purged = store.trash.filter(item => ids.has(item.id));
+          if (!purged.length) return {};
+
+          purged.forEach(utils.revokeUrls);
+          return { trash: store.trash.filter(item => !ids.has(item.id)) };
+        });
+      },
+
+      /** Deletes the images, which have been in the trash for longer than the configured number of days. */
+      purgeExpired() {
+        const { trash, settings } = Store.get();
+        const expiry = Date.now() - settings.storage.trashDays * 86400000;
+        utils.trash.purge(new Set(trash.filter(item => (item.deletedAt ?? 0) <= expiry).map(item => item.id)));
+      },
+
+      /** @param {ImageItem} item */
+      daysLeft(item) {
+        return Math.max(0, Math.ceil(((item.deletedAt ?? 0) + Store.get().settings.storage.trashDays * 86400000 - Date.now()) / 86400000));
+      },
     },
 
-    /** @param {Blob} blob */
-    async getFileExtension(blob) {
-      const arrayBuffer = new Uint8Array(await blob.arrayBuffer());
-      const extensions = {
-        jpeg: [[0xFF, 0xD8, 0xFF, 0xEE]],
-        jpg: [[0xFF, 0xD8, 0xFF, 0xDB], [0xFF, 0xD8, 0xFF, 0xE0], [0xFF, 0xD8, 0xFF, 0xE1]],
-        png: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
-        bmp: [[0x42, 0x4D]],
-        gif: [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
-        heic: [[0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63]],
-        avif: [[0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66]],
-        webp: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
-        svg: [[0x3C, 0x73, 0x76, 0x67]],
-        ico: [[0x00, 0x00, 0x01, 0x00]],
-      }
-      for (const [ext, signs] of Object.entries(extensions)) {
-        for (const sign of signs) {
-          if (sign.every((e, i) => e === null || e === arrayBuffer[i])) {
-            return ext;
+    queue: {
+      /**
+       * Drops entries, which can't be played anymore, and refills the bag once everything unpinned has been played.
+       * Returns the same array, if nothing changed.
+       * @param {ReturnType<typeof Store.get>} store
+       * @returns {QueueEntry[]}
+       */
+      normalize(store) {
+        const pool = utils.getPool(store).filter(item => !item.excluded);
+        const poolIds = new Set(pool.map(item => item.id));
+        const itemIds = new Set(store.items.map(item => item.id));
+
+        let queue = store.queue.filter(entry => entry.pinned ? itemIds.has(entry.id) : poolIds.has(entry.id));
+        if (!queue.some(entry => !entry.pinned) && pool.length) {
+          queue = [...queue, ...utils.queue.createBag(pool, store.settings.slideshow.shuffle)];
+        }
+
+        return queue.length === store.queue.length && queue.every((entry, i) => entry === store.queue[i]) ? store.queue : queue;
+      },
+
+      /**
+       * Every image of the pool once. Shuffled bags put higher rated images towards the front,
+       * sequential ones continue after the current image.
+       * @param {ImageItem[]} pool
+       * @param {boolean} shuffle
+       * @returns {QueueEntry[]}
+       */
+      createBag(pool, shuffle) {
+        let bag;
+        if (shuffle) {
+          // Weighted random permutation, see Efraimidis & Spirakis
+          bag = pool
+            .map(item => ({ item, key: Math.random() ** (1 / utils.getWeight(item)) }))
+            .sort((a, b) => b.key - a.key)
+            .map(({ item }) => item);
+          // Don't show the current image twice in a row, when a new cycle begins
+          if (bag.length > 1 && bag[0].selected) {
+            [bag[0], bag[1]] = [bag[1], bag[0]];
           }
+        } else {
+          const idx = pool.findIndex(item => item.selected);
+          bag = [...pool.slice(idx + 1), ...pool.slice(0, idx + 1)];
         }
-      }
-      return null;
+        return bag.map(item => ({ id: item.id }));
+      },
+
+      /** @param {number} from @param {number} to */
+      move(from, to) {
+        Store.set(store => {
+          if (from === to || !(from in store.queue) || !(to in store.queue)) return {};
+          const queue = [...store.queue];
+          queue.splice(to, 0, ...queue.splice(from, 1));
+          return { queue };
+        });
+      },
+
+      /** @param {number} index */
+      skip(index) {
+        Store.set(store => ({ queue: store.queue.filter((_, i) => i !== index) }));
+      },
+
+      /** @param {number} index */
+      togglePin(index) {
+        Store.set(store => ({ queue: store.queue.map((entry, i) => i === index ? { ...entry, pinned: !entry.pinned } : entry) }));
+      },
+
+      /**
+       * Puts the image at the front of the queue and pins it, so it is shown next even outside of the current album.
+       * @param {number} id
+       */
+      playNext(id) {
+        Store.set(store => ({ queue: [{ id, pinned: true }, ...store.queue.filter(entry => entry.id !== id)] }));
+      },
+
+      /** @param {number} index */
+      playNow(index) {
+        Store.set(store => {
+          const item = store.items.find(item => item.id === store.queue[index]?.id);
+          if (!item) return {};
+          return { ...utils.selectItem(store, item), queue: store.queue.filter((_, i) => i !== index) };
+        });
+      },
     },
 
     paths: {
       MainButton: "M20 4v12H8V4zm0-2H8c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2m-8.5 9.67 1.69 2.26 2.48-3.1L19 15H9zM2 6v14c0 1.1.9 2 2 2h14v-2H4V6z",
       Skip: "M5.7 6.71c-.39.39-.39 1.02 0 1.41L9.58 12 5.7 15.88c-.39.39-.39 1.02 0 1.41.39.39 1.02.39 1.41 0l4.59-4.59c.39-.39.39-1.02 0-1.41L7.12 6.71c-.39-.39-1.03-.39-1.42 0m6.59 0c-.39.39-.39 1.02 0 1.41L16.17 12l-3.88 3.88c-.39.39-.39 1.02 0 1.41s1.02.39 1.41 0l4.59-4.59c.39-.39.39-1.02 0-1.41L13.7 6.7c-.38-.38-1.02-.38-1.41.01",
+      Storage: "M2 20h20v-4H2zm2-3h2v2H4zM2 4v4h20V4zm4 3H4V5h2zm-4 7h20v-4H2zm2-3h2v2H4z",
+      Duplicates: "M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2m0 16H8V7h11z",
+      Previous: "M18.3 6.71c.39 .39 .39 1.02 0 1.41L14.42 12 18.3 15.88c.39 .39 .39 1.02 0 1.41-.39 .39-1.02 .39-1.41 0l-4.59-4.59c-.39-.39-.39-1.02 0-1.41L16.88 6.71c.39-.39 1.03-.39 1.42 0m-6.59 0c.39 .39 .39 1.02 0 1.41L7.83 12l3.88 3.88c.39 .39 .39 1.02 0 1.41s-1.02 .39-1.41 0l-4.59-4.59c-.39-.39-.39-1.02 0-1.41L10.3 6.7c.38-.38 1.02-.38 1.41 .01",
       Delete: "M19 6.41 17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z",
       Upload: "M20 6h-8l-2-2H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2m0 12H4V6h5.17l2 2H20zM9.41 14.42 11 12.84V17h2v-4.16l1.59 1.59L16 13.01 12.01 9 8 13.01z",
       RemoveImage: "M22 8h-8v-2h8v2zM19 10H12V5H5c-1.1 0 -2 0.9 -2 2v12c 0 1.1 0.9 2 2 2h12c1.1 0 2 -0.9 2 -2zM5 19l3 -4l2 3l3 -4l4 5H5z",
       Settings: "M12 15.6c1.98 0 3.6-1.62 3.6-3.6S13.98 8.4 12 8.4 8.4 10.02 8.4 12s1.62 3.6 3.6 3.6m9.15-1.08c.19.14.24.39.12.61l-1.92 3.32c-.12.22-.37.3-.59.22l-2.39-.96c-.49.38-1.03.7-1.62.94l-.36 2.54c-.03.24-.23.41-.47.41H10.08c-.24 0-.43-.17-.48-.41l-.36-2.54c-.59-.24-1.12-.56-1.62-.94l-2.39.96c-.22.07-.47 0-.59-.22L2.72 15.13c-.11-.2-.06-.47.12-.61l2.03-1.58c-.05-.3-.07-.63-.07-.94s.04-.64.09-.94L2.86 9.48c-.2-.14-.24-.4-.12-.61L4.65 5.55c.12-.22.37-.3.59-.22l2.39.96c.49-.37 1.03-.7 1.62-.94l.36-2.54c.04-.24.23-.41.47-.41h3.84c.24 0 .44.17.48.41l.36 2.54c.59.24 1.12.56 1.62.94l2.39-.96c.22-.07.47 0 .59.22l1.92 3.32c.11.2.06.47-.12.61l-2.03 1.58c.05.3.07.62.07.94 0 .33-.02.64-.06.94Z",
-      AddImage: "M24 3V5H21V7.99s-1.99.01-2 0V5H16s.01-1.99 0-2h3V0h2V3ZM3 7V21H17v2H3c-1.1 0-2-.9-2-2V7Zm5 9H18l-3.33-4.17-2.48 3.1-1.69-2.26Zm13-6v7c0 1.1-.9 2-2 2H7c-1.1 0-2-.9-2-2V5c0-1.1.9-2 2-2h7V5H7V17H19V10Z"
+      AddImage: "M24 3V5H21V7.99s-1.99.01-2 0V5H16s.01-1.99 0-2h3V0h2V3ZM3 7V21H17v2H3c-1.1 0-2-.9-2-2V7Zm5 9H18l-3.33-4.17-2.48 3.1-1.69-2.26Zm13-6v7c0 1.1-.9 2-2 2H7c-1.1 0-2-.9-2-2V5c0-1.1.9-2 2-2h7V5H7V17H19V10Z",
+      Pin: "M16 9V4h1c.55 0 1-.45 1-1s-.45-1-1-1H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3",
+      Album: "M22 16V4c0-1.1-.9-2-2-2H8c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2m-11-4 2.03 2.71L16 11l4 5H8zM2 6v14c0 1.1.9 2 2 2h14v-2H4V6z",
+      Select: "M19 3H5c-1.11 0-2 .9-2 2v14c0 1.1.89 2 2 2h14c1.11 0 2-.9 2-2V5c0-1.1-.89-2-2-2m-9 14-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8z",
+      SelectAll: "M3 5h2V3c-1.1 0-2 .9-2 2m0 8h2v-2H3zm4 8h2v-2H7zM3 9h2V7H3zm10-6h-2v2h2zm6 0v2h2c0-1.1-.9-2-2-2M5 21v-2H3c0 1.1.9 2 2 2m-2-4h2v-2H3zM9 3H7v2h2zm2 18h2v-2h-2zm8-8h2v-2h-2zm0 8c1.1 0 2-.9 2-2h-2zm0-12h2V7h-2zm0 8h2v-2h-2zm-4 4h2v-2h-2zm0-16h2V3h-2zM7 17h10V7H7zm2-8h6v6H9z",
+      More: "M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2m0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2m0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2",
+      Check: "M9 16.17 4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z",
+      Trash: "M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6zM19 4h-3.5l-1-1h-5l-1 1H5v2h14z",
+      Restore: "M19 4h-3.5l-1-1h-5l-1 1H5v2h14zM6 7v12c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7zm8 7v4h-4v-4H8l4-4 4 4z"
     }
   }
 
@@ -755,46 +2574,127 @@ module.exports = meta => {
 
     Background() {
       const [activeSrc] = Store.useStore(store => store.activeSrc);
+      const [items] = Store.useStore(store => store.items);
       const [transition] = Store.useStore(store => store.settings.transition);
       const [dimming] = Store.useStore(store => store.settings.adjustment.dimming);
       const [xPosition] = Store.useStore(store => store.settings.adjustment.xPosition);
       const [yPosition] = Store.useStore(store => store.settings.adjustment.yPosition);
+      const [pauseHiddenVideo] = Store.useStore(store => store.settings.pauseHiddenVideo);
+      const [kenBurns] = Store.useStore(store => store.settings.kenBurns);
+      const [interval] = Store.useStore(store => store.settings.slideshow.enabled ? Math.max(store.settings.slideshow.interval, 3e4) : null);
 
       const [activeIdx, setActiveIdx] = useState(() => activeSrc != null ? 0b11 : 0b01);
       const bgsrc = useRef([activeSrc, null]);
+      // Only changes on the next swap, so the leaving layer doesn't replay a different animation.
+      const transitionType = useRef(transition.type);
+      // Remounts a layer, when it becomes active, to restart its pan and zoom.
+      const generation = useRef([0, 0]);
+      /** @type {React.RefObject<{ from: number[], to: number[], zoomIn: boolean }[]>} */
+      const motion = useRef([]);
 
       useLayoutEffect(() => {
+        transitionType.current = transition.type;
         setActiveIdx(currIdx => {
           const newIdx = activeSrc ? (currIdx ^ 0b01) | 0b10 : (currIdx ^ 0b01) & ~0b10;
           bgsrc.current[newIdx & 0b01] = activeSrc;
+          generation.current[newIdx & 0b01]++;
+          motion.current[newIdx & 0b01] = { from: [Math.random(), Math.random()], to: [Math.random(), Math.random()], zoomIn: Math.random() < 0.5 };
           return newIdx;
         });
       }, [activeSrc]);
 
+      /** @type {React.RefObject<HTMLDivElement | null>} */
+      const container = useRef(null);
+      const [viewport, setViewport] = useState(() => [innerWidth, innerHeight]);
+
+      // Framed images are positioned in pixels, so they are laid out again with every resize.
+      useLayoutEffect(() => {
+        const el = container.current;
+        if (!el) return;
+
+        const observer = new ResizeObserver(() => setViewport([el.clientWidth, el.clientHeight]));
+        observer.observe(el);
+        return () => observer.disconnect();
+      }, []);
+
+      useEffect(() => {
+        const ctrl = new AbortController();
+        const updatePlayback = () => {
+          const hidden = pauseHiddenVideo && document.visibilityState === "hidden";
+          container.current?.querySelectorAll("video").forEach(video => {
+            video.parentElement?.classList.contains("active") && !hidden ? video.play().catch(() => { }) : video.pause();
+          });
+        };
+
+        // Keep the previous video running, until it has faded out.
+        const timer = setTimeout(updatePlayback, transition.enabled ? transition.duration : 0);
+        document.addEventListener("visibilitychange", updatePlayback, { signal: ctrl.signal });
+        return () => {
+          clearTimeout(timer);
+          ctrl.abort();
+        }
+      }, [activeIdx, pauseHiddenVideo, transition]);
+
+      // Every layer keeps the framing of its own image, while crossfading.
+      /** @param {0 | 1} idx */
+      const renderLayer = idx => {
+        const src = bgsrc.current[idx];
+        const item = src != null ? items.find(e => e.src === src) : null;
+        const adjustment = utils.getAdjustment({ ...defaultSettings.adjustment, dimming, xPosition, yPosition }, item);
+        const isVideo = !!item && utils.isVideo(item.image);
+        const framing = item && (item.focal || item.crop) ? utils.getFraming(item, viewport) : null;
+
+        return jsx("div", {
+          key: `${idx}-${generation.current[idx]}`,
+          className: utils.clsx("BGM-bg", isVideo && "video", framing && "framed", activeIdx === (0b10 | idx) && "active"),
+          style: {
+            ...framing && {
+              "--BGM-frame_width": `${framing.size[0]}px`,
+              "--BGM-frame_height": `${framing.size[1]}px`,
+              "--BGM-frame_x": `${framing.position[0]}px`,
+              "--BGM-frame_y": `${framing.position[1]}px`,
+              "--BGM-focal": `${framing.focal[0]}% ${framing.focal[1]}%`,
+            },
+            backgroundImage: utils.clsx(src != null && !isVideo && `linear-gradient(rgba(0,0,0,var(--BGM-dimming, 0))), url(${src})`),
+            "--BGM-position_x": utils.clsx(adjustment.xPosition && `${adjustment.xPosition}%`),
+            "--BGM-position_y": utils.clsx(adjustment.yPosition && `${adjustment.yPosition}%`),
+            "--BGM-dimming": utils.clsx(adjustment.dimming && `${adjustment.dimming}`),
+            ...kenBurns.enabled && src != null && utils.getKenBurnsStyle(kenBurns, motion.current[idx]),
+          },
+          children: isVideo && jsx("video", {
+            className: "BGM-video",
+            src: src ?? undefined,
+            autoPlay: true,
+            muted: true,
+            loop: true,
+            playsInline: true,
+          }),
+        });
+      };
+
       return jsx("div", {
-        className: "BGM-bg_container",
+        ref: container,
+        className: utils.clsx("BGM-bg_container", kenBurns.enabled && "ken_burns"),
         style: {
           "--BGM-transition_duration": utils.clsx(transition.enabled && transition.duration && `${transition.duration}ms`),
-          "--BGM-position_x": utils.clsx(xPosition && `${xPosition}%`),
-          "--BGM-position_y": utils.clsx(yPosition && `${yPosition}%`),
-          "--BGM-dimming": utils.clsx(dimming && `${dimming}`),
+          "--BGM-transition_easing": transition.easings[transitionType.current] ?? "ease-out",
+          // One pass per slideshow interval, including the fade out. Without a slideshow, it keeps going back and forth.
+          "--BGM-ken_burns_duration": utils.clsx(kenBurns.enabled && `${interval != null ? interval + (transition.enabled ? transition.duration : 0) : 6e4}ms`),
+          "--BGM-ken_burns_iterations": utils.clsx(kenBurns.enabled && interval == null && "infinite"),
         },
+        "data-transition": transitionType.current,
         children: [
-          jsx("div", {
-            className: utils.clsx("BGM-bg", activeIdx === 0b10 && "active"),
-            style: { backgroundImage: utils.clsx(bgsrc.current[0] != null && `linear-gradient(rgba(0,0,0,var(--BGM-dimming, 0))), url(${bgsrc.current[0]})`) },
-          }),
-          jsx("div", {
-            className: utils.clsx("BGM-bg", activeIdx === 0b11 && "active"),
-            style: { backgroundImage: utils.clsx(bgsrc.current[1] != null && `linear-gradient(rgba(0,0,0,var(--BGM-dimming, 0))), url(${bgsrc.current[1]})`) },
-          }),
+          renderLayer(0),
+          renderLayer(1),
           jsx(Components.BackgroundOverlay)
         ],
       })
     },
 
     BackgroundOverlay() {
-      const [adjustment] = Store.useStore(store => store.settings.adjustment);
+      const [globalAdjustment] = Store.useStore(store => store.settings.adjustment);
+      const [activeItem] = Store.useStore(store => store.activeSrc ? store.items.find(e => e.src === store.activeSrc) : null);
+      const adjustment = utils.getAdjustment(globalAdjustment, activeItem);
 
       return jsx("div", {
         className: "BGM-bg_overlay",
@@ -906,123 +2806,625 @@ module.exports = meta => {
 
     PopoutHeader() {
       return jsx("div", {
-        className: internals.messagesPopoutClass?.header,
-        children: jsx("h1", {
-          className: utils.clsx(internals.textStylesClass?.defaultColor, internals.textStylesClass?.['heading-md/medium']),
-          children: "Background Manager",
-        })
+        className: utils.clsx(internals.messagesPopoutClass?.header, "BGM-header"),
+        children: [
+          jsx("h1", {
+            className: utils.clsx(internals.textStylesClass?.defaultColor, internals.textStylesClass?.['heading-md/medium']),
+            children: "Background Manager",
+          }),
+          jsx(Components.AlbumSelect),
+        ]
+      });
+    },
+
+    AlbumSelect() {
+      const [albums, setStore] = Store.useStore(store => store.albums);
+      const [activeAlbum] = Store.useStore(store => store.settings.activeAlbum);
+
+      const options = [{ label: "All Images", value: 0 }, ...albums.map(album => ({ label: album.name, value: album.id }))];
+
+      /** @type {(albumId: number | null) => void} */
+      const setActiveAlbum = useCallback(albumId => {
+        setStore(store => ({ settings: { ...store.settings, activeAlbum: albumId } }));
+      }, []);
+
+      const handleCreate = useCallback(async () => {
+        const name = await utils.prompt("New Album", { placeholder: "Album name", confirmText: "Create" });
+        if (!name) return;
+
+        setStore(store => {
+          const album = { id: utils.nextId(store.albums), name };
+          return {
+            albums: [...store.albums, album],
+            settings: { ...store.settings, activeAlbum: album.id },
+          };
+        });
+      }, []);
+
+      /** @type {(album: Album) => Promise<void>} */
+      const handleRename = useCallback(async album => {
+        const name = await utils.prompt("Rename Album", { value: album.name });
+        if (!name) return;
+
+        setStore(store => ({ albums: store.albums.map(e => e.id === album.id ? { ...e, name } : e) }));
+      }, []);
+
+      /** @type {(album: Album) => void} */
+      const handleDelete = useCallback(album => {
+        UI.showConfirmationModal(
+          "Delete Album",
+          `Delete the album "${album.name}"? The images stay in your library.`,
+          {
+            danger: true,
+            confirmText: "Delete",
+            onConfirm: () => {
+              setStore(store => ({
+                albums: store.albums.filter(e => e.id !== album.id),
+                items: store.items.map(item => item.albums?.includes(album.id) ? { ...item, albums: item.albums.filter(id => id !== album.id) } : item),
+                settings: { ...store.settings, activeAlbum: store.settings.activeAlbum === album.id ? null : store.settings.activeAlbum },
+              }));
+            }
+          }
+        );
+      }, []);
+
+      /** @type {(e: React.MouseEvent<HTMLElement, MouseEvent>) => void} */
+      const handleMenu = useCallback(e => {
+        const { albums, settings } = Store.get();
+        const album = albums.find(album => album.id === settings.activeAlbum);
+
+        ContextMenu.open(e, ContextMenu.buildMenu([
+          { label: "New Album", action: handleCreate },
+          album ? { label: `Rename "${album.name}"`, action: () => handleRename(album) } : null,
+          album ? { label: `Delete "${album.name}"`, danger: true, action: () => handleDelete(album) } : null,
+        ].filter(e => e != null)));
+      }, []);
+
+      return jsx("div", {
+        className: "BGM-album_select",
+        children: [
+          jsx(BdApi.Components.DropdownInput, {
+            value: activeAlbum ?? 0,
+            options,
+            onChange: value => { setActiveAlbum(value || null) }
+          }),
+          jsx(Components.IconButton, {
+            tooltip: "Manage Albums",
+            d: utils.paths.Album,
+            onClick: handleMenu,
+          }),
+        ]
       });
     },
 
     PopoutBody() {
       const [items, setStore] = Store.useStore(store => store.items);
       const [slideshow] = Store.useStore(store => store.settings.slideshow);
+      const [activeAlbum] = Store.useStore(store => store.settings.activeAlbum);
+      const [poolSize] = Store.useStore(store => utils.getPool(store).filter(item => !item.excluded).length);
+      const [hasHistory] = Store.useStore(store => store.history.length > 0);
+      const [trashSize] = Store.useStore(store => store.trash.length);
+
+      const [query, setQuery] = useState("");
+      const [showDuplicates, setShowDuplicates] = useState(false);
+      const [selecting, setSelecting] = useState(false);
+      const [checked, setChecked] = useState(/** @type {Set<number>} */(new Set()));
+      /** The last clicked image, from which shift-click selects a range. @type {React.RefObject<number | null>} */
+      const anchor = useRef(null);
+
+      const albumItems = useMemo(() => activeAlbum == null ? items : items.filter(item => utils.inAlbum(item, activeAlbum)), [items, activeAlbum]);
+      const searchedItems = useMemo(() => query ? albumItems.filter(item => utils.matchesQuery(item, query)) : albumItems, [albumItems, query]);
+      // Duplicates are listed next to each other, so the ones to keep can be compared side by side.
+      const visibleItems = useMemo(() => showDuplicates ? utils.findDuplicates(searchedItems).flat() : searchedItems, [showDuplicates, searchedItems]);
+      const checkedItems = useMemo(() => items.filter(item => checked.has(item.id)), [items, checked]);
+
+      // The thumbnails are memoized, so the click handler reads the current view from a ref, instead of changing with it.
+      const view = useRef({ items: visibleItems, selecting });
+      view.current = { items: visibleItems, selecting };
+
+      /** @type {(item: ImageItem, e?: React.MouseEvent) => void} */
+      const handleSelect = useCallback((item, e) => {
+        const { items, selecting } = view.current;
+        if (!selecting && !e?.shiftKey && !e?.ctrlKey && !e?.metaKey) {
+          setStore(store => utils.selectItem(store, item));
+          return;
+        }
 
-      /** @type {(item: ImageItem) => void} */
-      const handleSelect = useCallback(item => {
-        setStore(store => {
-          const items = [...store.items];
-          const currIdx = items.findIndex(e => e.selected);
-          if (currIdx in items) {
-            items[currIdx] = { ...items[currIdx], selected: false };
-          }
+        const from = e?.shiftKey ? items.findIndex(entry => entry.id === anchor.current) : -1;
+        const to = items.findIndex(entry => entry.id === item.id);
+        if (from === -1) anchor.current = item.id;
 
-          const newIdx = items.findIndex(e => e.src === item.src);
-          if (newIdx in items) {
-            items[newIdx] = { ...items[newIdx], selected: true };
+        setSelecting(true);
+        setChecked(prev => {
+          const next = new Set(prev);
+          if (from !== -1 && to !== -1) {
+            items.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(entry => next.add(entry.id));
+          } else {
+            next.has(item.id) ? next.delete(item.id) : next.add(item.id);
           }
+          return next;
+        });
+      }, []);
 
-          return newIdx !== currIdx ? { items, activeSrc: item.src } : {};
-        })
+      const handleSelectAll = useCallback(() => {
+        setSelecting(true);
+        setChecked(new Set(view.current.items.map(item => item.id)));
+      }, []);
+
+      const handleSelectionDone = useCallback(() => {
+        setSelecting(false);
+        setChecked(new Set());
+        anchor.current = null;
+      }, []);
+
+      /** @type {(item: ImageItem) => void} */
+      const handleDelete = useCallback(item => {
+        utils.deleteItems(new Set([item.id]));
+      }, []);
+
+      return jsx("div", {
+        className: utils.clsx(
+          internals.messagesPopoutClass?.messageGroupWrapper,
+          internals.messagesPopoutClass?.messagesPopout,
+          internals.markupClass?.markup,
+          "BGM-body",
+        ),
+        children: [
+          jsx(Components.InputArea),
+          jsx("div", {
+            role: "separator",
+            className: internals.separatorClass?.separator,
+          }),
+          (!!items.length || !!trashSize) && jsx("div", {
+            className: utils.clsx("BGM-memory_info", internals.textStylesClass?.["text-sm/semibold"]),
+            children: [
+              `Total size in memory: ${utils.formatNumber(items.reduce((p, c) => p + c.image.size, 0))}`,
+              jsx(Components.IconButton, {
+                tooltip: "Storage",
+                onClick: utils.showStorage,
+                d: utils.paths.Storage,
+              }),
+              !!trashSize && jsx(Components.IconButton, {
+                tooltip: `Trash (${trashSize})`,
+                onClick: utils.showTrash,
+                d: utils.paths.Trash,
+              }),
+              hasHistory && jsx(Components.IconButton, {
+                tooltip: "Previous Background Image",
+                onClick: Controllers.slideshow.previousBg,
+                d: utils.paths.Previous,
+              }),
+              slideshow.enabled && poolSize >= 2 && jsx(Components.IconButton, {
+                tooltip: "Next Background Image",
+                onClick: Controllers.slideshow.nextBg,
+                d: utils.paths.Skip,
+              })
+            ]
+          }),
+          jsx("div", {
+            className: "BGM-gallery",
+            children: [
+              slideshow.enabled && jsx(Components.UpNext),
+              !!albumItems.length && jsx("div", {
+                className: "BGM-search",
+                children: [
+                  jsx(BdApi.Components.TextInput, {
+                    value: query,
+                    placeholder: "Search by name, tag, format or resolution",
+                    onChange: setQuery,
+                  }),
+                  jsx(Components.IconButton, {
+                    tooltip: showDuplicates ? "Show All Images" : "Find Duplicates",
+                    d: utils.paths.Duplicates,
+                    className: utils.clsx(showDuplicates && "BGM-active_icon"),
+                    onClick: () => setShowDuplicates(prev => !prev),
+                  }),
+                  jsx(Components.IconButton, {
+                    tooltip: selecting ? "Stop Selecting" : "Select Images",
+                    d: utils.paths.Select,
+                    className: utils.clsx(selecting && "BGM-active_icon"),
+                    onClick: () => selecting ? handleSelectionDone() : setSelecting(true),
+                  }),
+                ]
+              }),
+              selecting && jsx(Components.SelectionBar, {
+                items: checkedItems,
+                onSelectAll: handleSelectAll,
+                onDone: handleSelectionDone,
+              }),
+              jsx(Components.ImageGrid, {
+                items: visibleItems,
+                empty: showDuplicates ? "No duplicates found." : query ? "No images match your search." : null,
+                checked: selecting ? checked : null,
+                onSelect: handleSelect,
+                onDelete: handleDelete,
+                onSelectAll: handleSelectAll,
+                onSelectionDone: handleSelectionDone,
+              })
+            ]
+          })
+        ]
+      })
+    },
+
+    /**
+     * The bulk actions for the checked images of the gallery.
+     * @param {{ items: ImageItem[], onSelectAll: () => void, onDone: () => void }} props
+     */
+    SelectionBar({ items, onSelectAll, onDone }) {
+      /** @type {(e: React.MouseEvent<HTMLElement, MouseEvent>) => void} */
+      const handleMenu = e => {
+        const ids = new Set(items.map(item => item.id));
+        const { albums } = Store.get();
+
+        ContextMenu.open(e, ContextMenu.buildMenu([
+          {
+            label: "Albums",
+            type: "submenu",
+            items: [
+              ...albums.map(album => {
+                const all = items.every(item => utils.inAlbum(item, album.id));
+                return {
+                  label: album.name,
+                  type: "toggle",
+                  checked: all,
+                  action: () => utils.updateItems(ids, item => ({
+                    ...item, albums: all ? item.albums?.filter(id => id !== album.id) : [...new Set([...item.albums ?? [], album.id])]
+                  })),
+                };
+              }),
+              albums.length ? { type: "separator" } : null,
+              {
+                label: "New Album...",
+                action: async () => {
+                  const name = await utils.prompt("New Album", { placeholder: "Album name", confirmText: "Create" });
+                  if (!name) return;
+
+                  Store.set(store => {
+                    const album = { id: utils.nextId(store.albums), name };
+                    return {
+                      albums: [...store.albums, album],
+                      items: store.items.map(e => ids.has(e.id) ? { ...e, albums: [...e.albums ?? [], album.id] } : e),
+                    };
+                  });
+                }
+              },
+            ].filter(e => e != null)
+          },
+          {
+            label: "Add Tags",
+            action: async () => {
+              const input = await utils.prompt("Add Tags", { placeholder: "Comma separated, e.g. dark, nature, seasonal", confirmText: "Add" });
+              if (!input) return;
+
+              const tags = input.split(",").map(tag => tag.trim().toLowerCase()).filter(Boolean);
+              utils.updateItems(ids, item => ({ ...item, tags: [...new Set([...item.tags ?? [], ...tags])] }));
+            }
+          },
+          {
+            label: "Exclude from Slideshow",
+            type: "toggle",
+            checked: items.every(item => item.excluded),
+            action: () => {
+              const exclude = !items.every(item => item.excluded);
+              utils.updateItems(ids, ({ excluded, ...rest }) => exclude ? { ...rest, excluded: true } : rest);
+            }
+          },
+          { type: "separator" },
+          { label: "Export", action: () => utils.library.exportToFile(items) },
+          { label: "Re-encode", action: () => utils.enqueueAsync(() => utils.reencodeItems(items)) },
+          { type: "separator" },
+          {
+            label: `Move ${items.length} Image(s) to Trash`,
+            danger: true,
+            action: () => {
+              utils.deleteItems(ids);
+              onDone();
+            }
+          },
+        ]));
+      };
+
+      return jsx("div", {
+        className: utils.clsx("BGM-selection_bar", internals.textStylesClass?.["text-sm/semibold"]),
+        children: [
+          jsx("span", { className: internals.textStylesClass?.defaultColor }, items.length ? `${items.length} selected` : "Click, Shift-click or Ctrl-click images"),
+          jsx(Components.IconButton, {
+            tooltip: "Select All",
+            d: utils.paths.SelectAll,
+            onClick: onSelectAll,
+          }),
+          !!items.length && jsx(Components.IconButton, {
+            tooltip: "Actions",
+            d: utils.paths.More,
+            onClick: handleMenu,
+          }),
+          jsx(Components.IconButton, {
+            tooltip: "Done",
+            d: utils.paths.Delete,
+            onClick: onDone,
+          }),
+        ]
+      });
+    },
+
+    UpNext() {
+      const [queue] = Store.useStore(store => store.queue);
+      const [items] = Store.useStore(store => store.items);
+      /** @type {React.RefObject<number | null>} */
+      const dragged = useRef(null);
+      const [dropTarget, setDropTarget] = useState(/** @type {number | null} */(null));
+
+      const entries = queue.slice(0, 20)
+        .map((entry, index) => ({ entry, index, item: items.find(item => item.id === entry.id) }))
+        .filter(({ item }) => item != null);
+      if (!entries.length) return null;
+
+      /** @param {React.MouseEvent<HTMLElement>} e @param {QueueEntry} entry @param {number} index */
+      const handleContextMenu = (e, entry, index) => {
+        ContextMenu.open(e, ContextMenu.buildMenu([
+          { label: "Play Now", action: () => utils.queue.playNow(index) },
+          { label: "Move to Front", disabled: index === 0, action: () => utils.queue.move(index, 0) },
+          { label: entry.pinned ? "Unpin" : "Pin", action: () => utils.queue.togglePin(index) },
+          { type: "separator" },
+          { label: "Skip", danger: true, action: () => utils.queue.skip(index) },
+        ]));
+      };
+
+      return jsx("div", {
+        className: "BGM-up_next",
+        children: [
+          jsx("span", { className: utils.clsx(internals.textStylesClass?.["text-sm/semibold"], internals.textStylesClass?.defaultColor) }, "Up next"),
+          jsx("div", {
+            className: utils.clsx("BGM-up_next_list", internals.scrollbarClass?.thin),
+            children: entries.map(({ entry, index, item }) => jsx("button", {
+              key: `${entry.id}-${index}`,
+              draggable: true,
+              className: utils.clsx("BGM-up_next_entry", entry.pinned && "pinned", dropTarget === index && "drop_target"),
+              "aria-label": `${item.image.name}${entry.pinned ? ", pinned" : ""}`,
+              title: `${item.image.name}\nClick to play now, right-click for more. Drag to reorder.`,
+              onClick: () => utils.queue.playNow(index),
+              onContextMenu: e => handleContextMenu(e, entry, index),
+              onDragStart: e => {
+                dragged.current = index;
+                e.dataTransfer.effectAllowed = "move";
+              },
+              onDragOver: e => {
+                if (dragged.current == null) return;
+                e.preventDefault();
+                e.stopPropagation();
+                setDropTarget(index);
+              },
+              onDragLeave: () => setDropTarget(prev => prev === index ? null : prev),
+              onDrop: e => {
+                e.preventDefault();
+                e.stopPropagation();
+                dragged.current != null && utils.queue.move(dragged.current, index);
+                dragged.current = null;
+                setDropTarget(null);
+              },
+              onDragEnd: () => {
+                dragged.current = null;
+                setDropTarget(null);
+              },
+              children: [
+                item.thumbSrc ? jsx("img", { src: item.thumbSrc, draggable: false, alt: "" }) :
+                  utils.isVideo(item.image) ?
+                    jsx("video", { src: item.src, muted: true, preload: "metadata", tabIndex: -1 }) :
+                    jsx("img", { src: item.src, draggable: false, alt: "" }),
+                entry.pinned && jsx("svg", {
+                  className: "BGM-pin_icon",
+                  viewBox: "0 0 24 24",
+                  children: jsx("path", { fill: "currentColor", d: utils.paths.Pin })
+                }),
+              ]
+            }))
+          })
+        ]
+      });
+    },
+
+    /**
+     * Two columns of thumbnails, where only the rows in view are mounted. The focused tile stays mounted,
+     * and the arrow keys move the focus, so the keyboard can reach tiles which are scrolled out of view.
+     * While selecting, `checked` holds the ids of the checked images. Ctrl + A checks all of them, and Escape stops selecting.
+     * @param {{
+     *  items: ImageItem[], empty?: string | null, checked?: Set<number> | null,
+     *  onSelect: (item: ImageItem, e?: React.MouseEvent) => void, onDelete: (item: ImageItem) => void,
+     *  onSelectAll?: () => void, onSelectionDone?: () => void,
+     * }} props
+     */
+    ImageGrid({ items, empty, checked, onSelect, onDelete, onSelectAll, onSelectionDone }) {
+      /** @type {React.RefObject<HTMLDivElement | null>} */
+      const grid = useRef(null);
+      const [viewport, setViewport] = useState({ top: 0, height: 0, rowHeight: 0, gap: 0, padding: 0 });
+      const [focused, setFocused] = useState(/** @type {number | null} */(null));
+      const [dropTarget, setDropTarget] = useState(/** @type {{ id: number, after: boolean } | null} */(null));
+      /** @type {React.RefObject<number | null>} */
+      const dragged = useRef(null);
+      const initial = useRef(true);
+      const OVERSCAN = 2;
+
+      useLayoutEffect(() => {
+        const el = grid.current;
+        if (!el) return;
+
+        const measure = () => {
+          const style = getComputedStyle(el);
+          const gap = parseFloat(style.rowGap) || 0;
+          const width = el.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+          setViewport({ top: el.scrollTop, height: el.clientHeight, rowHeight: (width - gap) / 2 * 9 / 16 + gap, gap, padding: parseFloat(style.paddingTop) || 0 });
+        };
+        measure();
+        const observer = new ResizeObserver(measure);
+        observer.observe(el);
+        return () => observer.disconnect();
       }, []);
 
-      const handleNext = useCallback(() => {
-        setStore(store => {
-          const items = [...store.items];
-          const currIdx = items.findIndex(e => e.selected);
-          const weights = new Array(items.length).fill(1);
+      /** @param {number} index @param {"center" | "nearest"} block @param {ScrollBehavior} behavior */
+      const scrollToIndex = useCallback((index, block, behavior) => {
+        const el = grid.current;
+        if (!el || !viewport.rowHeight || index < 0) return;
+
+        const top = viewport.padding + Math.floor(index / 2) * viewport.rowHeight;
+        const bottom = top + viewport.rowHeight - viewport.gap;
+        if (block === "center") {
+          el.scrollTo({ top: top - (el.clientHeight - viewport.rowHeight) / 2, behavior });
+        } else if (top - viewport.padding < el.scrollTop) {
+          el.scrollTo({ top: top - viewport.padding, behavior });
+        } else if (bottom + viewport.padding > el.scrollTop + el.clientHeight) {
+          el.scrollTo({ top: bottom + viewport.padding - el.clientHeight, behavior });
+        }
+      }, [viewport.rowHeight, viewport.gap, viewport.padding]);
+
+      const selectedIdx = items.findIndex(item => item.selected);
+      useLayoutEffect(() => {
+        if (!viewport.rowHeight) return;
+        if (selectedIdx !== -1) {
+          scrollToIndex(selectedIdx, initial.current ? "center" : "nearest", initial.current ? "instant" : "smooth");
+        }
+        initial.current = false;
+      }, [selectedIdx, !!viewport.rowHeight]);
+
+      // Focus the tile, once it is mounted after a keyboard navigation.
+      useLayoutEffect(() => {
+        if (focused == null || !grid.current?.contains(document.activeElement)) return;
+        /** @type {HTMLElement | null | undefined} */ (grid.current?.querySelector(`[data-id="${focused}"]`))?.focus({ preventScroll: true });
+      }, [focused]);
+
+      /** @type {(e: React.KeyboardEvent<HTMLDivElement>) => void} */
+      const handleKeyDown = e => {
+        if (!(e.target instanceof HTMLElement)) return;
+        if (onSelectAll && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "a") {
+          e.preventDefault();
+          onSelectAll();
+          return;
+        }
+        if (checked && e.key === "Escape") {
+          e.stopPropagation();
+          onSelectionDone?.();
+          return;
+        }
+
+        const idx = items.findIndex(item => item.id === Number(e.target.closest("[data-id]")?.getAttribute("data-id")));
+        if (idx === -1) return;
 
-          if (currIdx in items) {
-            weights[currIdx] = 0;
-            items[currIdx] = { ...items[currIdx], selected: false };
-          }
+        const next = {
+          ArrowLeft: idx - 1,
+          ArrowRight: idx + 1,
+          ArrowUp: idx - 2,
+          ArrowDown: idx + 2,
+          Home: 0,
+          End: items.length - 1,
+        }[e.key];
+        if (next == null || !(next in items)) return;
 
-          const newIdx = store.settings.slideshow.shuffle ?
-            utils.randomChoice(weights) :
-            (currIdx + 1 + items.length) % items.length;
-          items[newIdx] = { ...items[newIdx], selected: true };
+        e.preventDefault();
+        if (e.altKey) {
+          // Alt moves the image itself, and the focus stays on it.
+          e.stopPropagation();
+          utils.moveItem(items[idx].id, items[next].id, next > idx);
+        } else {
+          setFocused(items[next].id);
+        }
+        scrollToIndex(next, "nearest", "instant");
+      };
 
-          return currIdx !== newIdx ? { items, activeSrc: items[newIdx].src } : {};
-        });
-      }, []);
+      /** @param {EventTarget} target */
+      const getTile = target => target instanceof Element ? target.closest("[data-id]") : null;
 
-      /** @type {(item: ImageItem) => void} */
-      const handleDelete = useCallback(item => {
-        setStore(store => {
-          const idx = store.items.findIndex(e => e.src === item.src);
-          if (idx === -1) return {};
+      const resetDrag = () => {
+        dragged.current = null;
+        setDropTarget(null);
+      };
 
-          const items = store.items.toSpliced(idx, 1);
-          items.forEach((e, i) => { e.id = i + 1 });
-          const activeSrc = item.selected ? null : store.activeSrc;
-          URL.revokeObjectURL(item.src);
-          return { items, activeSrc };
-        })
-      }, []);
+      const rows = Math.ceil(items.length / 2);
+      const firstRow = viewport.rowHeight ? Math.max(0, Math.floor((viewport.top - viewport.padding) / viewport.rowHeight) - OVERSCAN) : 0;
+      const lastRow = viewport.rowHeight ? Math.ceil((viewport.top + viewport.height) / viewport.rowHeight) + OVERSCAN : 6;
+      const mounted = items.map((item, index) => ({ item, index }))
+        .filter(({ item, index }) => (index >= firstRow * 2 && index < (lastRow + 1) * 2) || item.id === focused);
 
       return jsx("div", {
-        className: utils.clsx(
-          internals.messagesPopoutClass?.messageGroupWrapper,
-          internals.messagesPopoutClass?.messagesPopout,
-          internals.markupClass?.markup,
-          "BGM-body",
-        ),
-        children: [
-          jsx(Components.InputArea),
-          jsx("div", {
-            role: "separator",
-            className: internals.separatorClass?.separator,
-          }),
-          !!items.length && jsx("div", {
-            className: utils.clsx("BGM-memory_info", internals.textStylesClass?.["text-sm/semibold"]),
-            children: [
-              `Total size in memory: ${utils.formatNumber(items.reduce((p, c) => p + c.image.size, 0))}`,
-              slideshow.enabled && items.length >= 2 && jsx(Components.IconButton, {
-                tooltip: "Next Background Image",
-                onClick: handleNext,
-                d: utils.paths.Skip,
-              })
-            ]
-          }),
+        ref: grid,
+        className: utils.clsx("BGM-image_grid", internals.scrollbarClass?.thin),
+        onScroll: e => {
+          const top = e.currentTarget.scrollTop;
+          setViewport(prev => ({ ...prev, top }));
+        },
+        onKeyDown: handleKeyDown,
+        "aria-label": "Images. Use the arrow keys to move between them, and hold Alt to reorder them.",
+        onDragStart: e => {
+          const id = getTile(e.target)?.getAttribute("data-id");
+          if (id == null) return;
+          dragged.current = Number(id);
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("application/x-bgm-item", id);
+        },
+        onDragOver: e => {
+          const tile = getTile(e.target);
+          if (dragged.current == null || !tile) return;
+          e.preventDefault();
+          e.stopPropagation();
+
+          const rect = tile.getBoundingClientRect();
+          const id = Number(tile.getAttribute("data-id"));
+          const after = e.clientX > rect.left + rect.width / 2;
+          setDropTarget(prev => prev?.id === id && prev.after === after ? prev : { id, after });
+        },
+        onDragLeave: e => {
+          !e.currentTarget.contains(/** @type {Node | null} */(e.relatedTarget)) && setDropTarget(null);
+        },
+        onDrop: e => {
+          if (dragged.current == null) return;
+          e.preventDefault();
+          e.stopPropagation();
+          dropTarget && utils.moveItem(dragged.current, dropTarget.id, dropTarget.after);
+          resetDrag();
+        },
+        onDragEnd: resetDrag,
+        onFocus: e => {
+          const id = e.target.closest("[data-id]")?.getAttribute("data-id");
+          id != null && setFocused(Number(id));
+        },
+        onBlur: e => {
+          !e.currentTarget.contains(/** @type {Node | null} */(e.relatedTarget)) && setFocused(null);
+        },
+        children: empty && !items.length ?
+          jsx("div", { className: utils.clsx("BGM-empty", internals.textStylesClass?.defaultColor) }, empty) :
           jsx("div", {
-            className: utils.clsx("BGM-image_grid", internals.scrollbarClass?.thin),
-            children: items.map((item) => jsx(Components.ImageThumbnail, {
+            className: utils.clsx("BGM-image_grid_window", !!viewport.rowHeight && "virtual"),
+            style: viewport.rowHeight ? {
+              height: Math.max(0, rows * viewport.rowHeight - viewport.gap),
+              "--BGM-row_height": `${viewport.rowHeight}px`,
+              "--BGM-gap": `${viewport.gap}px`,
+            } : undefined,
+            children: mounted.map(({ item, index }) => jsx(Components.ImageThumbnail, {
               key: item.src,
               item,
               selected: item.selected,
-              onSelect: handleSelect,
-              onDelete: handleDelete,
+              checked: checked ? checked.has(item.id) : null,
+              onSelect,
+              onDelete,
+              row: Math.floor(index / 2),
+              column: index % 2,
+              dropPosition: dropTarget?.id === item.id ? (dropTarget.after ? "after" : "before") : null,
             }))
           })
-        ]
-      })
+      });
     },
 
     ImageThumbnail: memo(
       /**
        * @param {{
-       *  item: ImageItem; onSelect: (item: ImageItem) => void;
+       *  item: ImageItem; onSelect: (item: ImageItem, e?: React.MouseEvent) => void;
        *  selected: boolean; onDelete: (item: ImageItem) => void;
+       *  checked?: boolean | null;
+       *  row?: number; column?: number; dropPosition?: "before" | "after" | null;
        * }} props 
        * @returns { React.JSX.Element }
        */
-      ({ item, selected, onSelect, onDelete }) => {
+      ({ item, selected, checked, onSelect, onDelete, row, column, dropPosition }) => {
         const [error, setError] = useState(false);
-        const [loading, startTransition] = React.useTransition();
-
-        /** @type {React.RefObject<HTMLElement?>} */
-        const btn = useRef(null);
-        const initial = useRef(true);
 
         /** @type {(e: React.MouseEvent<HTMLElement, MouseEvent>) => void} */
         const handleContextMenu = useCallback(e => {
@@ -1037,10 +3439,10 @@ module.exports = meta => {
                     items: Store.get().items.map(img => ({
                       url: img.src,
                       original: img.src,
-                      zoomThumbnailPlaceholder: img.src,
+                      zoomThumbnailPlaceholder: img.thumbSrc ?? img.src,
                       contentType: img.image.type,
                       srcIsAnimated: img.image.type === "image/gif",
-                      type: "IMAGE",
+                      type: utils.isVideo(img.image) ? "VIDEO" : "IMAGE",
                       width: img.width,
                       height: img.height,
                       sourceMetadata: {
@@ -1052,7 +3454,7 @@ module.exports = meta => {
                       }
                     })),
                     location: "Media Mosaic",
-                    startingIndex: item.id - 1,
+                    startingIndex: Store.get().items.findIndex(e => e.id === item.id),
                     onContextMenu: e => {
                       if (!(e.target instanceof HTMLElement)) return;
 
@@ -1068,15 +3470,158 @@ module.exports = meta => {
                 }
               }
             } : null,
-            item.image.type !== "image/gif" ? {
+            {
+              label: "Albums",
+              type: "submenu",
+              items: [
+                ...Store.get().albums.map(album => ({
+                  label: album.name,
+                  type: "toggle",
+                  checked: utils.inAlbum(item, album.id),
+                  action: () => {
+                    Store.set(store => ({
+                      items: store.items.map(e => e.id !== item.id ? e : {
+                        ...e, albums: utils.inAlbum(e, album.id) ? e.albums?.filter(id => id !== album.id) : [...e.albums ?? [], album.id]
+                      })
+                    }));
+                  }
+                })),
+                Store.get().albums.length ? { type: "separator" } : null,
+                {
+                  label: "New Album...",
+                  action: async () => {
+                    const name = await utils.prompt("New Album", { placeholder: "Album name", confirmText: "Create" });
+                    if (!name) return;
+
+                    Store.set(store => {
+                      const album = { id: utils.nextId(store.albums), name };
+                      return {
+                        albums: [...store.albums, album],
+                        items: store.items.map(e => e.id === item.id ? { ...e, albums: [...e.albums ?? [], album.id] } : e),
+                      };
+                    });
+                  }
+                },
+              ].filter(e => e != null)
+            },
+            {
+              label: "Adjust Image",
+              type: "submenu",
+              items: [
+                ...adjustmentFields.map(({ key, label, minValue, maxValue, decimals, suffix }) => ({
+                  label,
+                  type: "custom",
+                  render: () => jsx(Components.ErrorBoundary, null, jsx(Components.NumberInput, {
+                    label,
+                    value: utils.getAdjustment(Store.get().settings.adjustment, Store.get().items.find(e => e.id === item.id))[key],
+                    minValue,
+                    maxValue,
+                    decimals,
+                    suffix,
+                    onChange: value => {
+                      Store.set(store => ({
+                        items: store.items.map(e => e.id === item.id ? {
+                          ...e, adjustment: { ...e.adjustment, [key]: utils.clamp(minValue, value, maxValue) }
+                        } : e)
+                      }));
+                    }
+                  }))
+                })),
+                { type: "separator" },
+                {
+                  label: "Use Global Values",
+                  disabled: !item.adjustment,
+                  action: () => {
+                    Store.set(store => ({
+                      items: store.items.map(e => {
+                        if (e.id !== item.id) return e;
+                        const { adjustment, ...rest } = e;
+                        return rest;
+                      })
+                    }));
+                  }
+                }
+              ]
+            },
+            {
+              label: "Focal Point and Crop...",
+              action: () => utils.editFraming(Store.get().items.find(e => e.id === item.id) ?? item),
+            },
+            item.image.type !== "image/gif" && !utils.isVideo(item.image) ? {
+              label: "Edit Image",
+              type: "submenu",
+              items: [
+                { label: "Rotate Right", action: () => utils.edits.push(item.id, { type: "rotate", turns: 1 }) },
+                { label: "Rotate Left", action: () => utils.edits.push(item.id, { type: "rotate", turns: 3 }) },
+                { label: "Flip Horizontally", action: () => utils.edits.push(item.id, { type: "flip", axis: "x" }) },
+                { label: "Flip Vertically", action: () => utils.edits.push(item.id, { type: "flip", axis: "y" }) },
+                { label: "Crop...", action: () => utils.edits.crop(Store.get().items.find(e => e.id === item.id) ?? item) },
+                { type: "separator" },
+                { label: "Undo Last Edit", disabled: !item.edits?.length, action: () => utils.edits.undo(item.id) },
+                { label: "Revert to Original", disabled: !item.edits?.length, action: () => utils.edits.undo(item.id, true) },
+              ]
+            } : null,
+            {
+              label: "Play Next",
+              action: () => utils.queue.playNext(item.id),
+            },
+            {
+              label: "Rating",
+              type: "submenu",
+              items: [5, 4, 3, 2, 1, null].map(rating => ({
+                id: `BGM-rating-${rating}`,
+                label: rating ? "\u2605".repeat(rating) + "\u2606".repeat(5 - rating) : "No Rating",
+                type: "radio",
+                group: "BGM-rating",
+                checked: (item.rating ?? null) === rating,
+                action: () => {
+                  Store.set(store => ({
+                    items: store.items.map(e => {
+                      if (e.id !== item.id) return e;
+                      const { rating: _, ...rest } = e;
+                      return rating ? { ...rest, rating } : rest;
+                    })
+                  }));
+                }
+              }))
+            },
+            {
+              label: "Exclude from Slideshow",
+              type: "toggle",
+              checked: !!item.excluded,
+              action: () => {
+                Store.set(store => ({
+                  items: store.items.map(e => {
+                    if (e.id !== item.id) return e;
+                    const { excluded, ...rest } = e;
+                    return excluded ? rest : { ...rest, excluded: true };
+                  })
+                }));
+              }
+            },
+            {
+              label: "Edit Tags",
+              action: async () => {
+                const input = await utils.prompt("Edit Tags", {
+                  value: item.tags?.join(", ") ?? "",
+                  placeholder: "Comma separated, e.g. dark, nature, seasonal",
+                });
+                if (input == null) return;
+
+                const tags = [...new Set(input.split(",").map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+                Store.set(store => ({ items: store.items.map(e => e.id === item.id ? { ...e, tags } : e) }));
+              }
+            },
+            item.image.type !== "image/gif" && !utils.isVideo(item.image) ? {
               label: "Copy Image",
               action: async () => {
                 try {
-                  if (item.image.type === 'image/png' || item.image.type === 'image/jpeg') {
-                    const arrayBuffer = await item.image.arrayBuffer()
+                  const image = item.edited ?? item.image;
+                  if (image.type === 'image/png' || image.type === 'image/jpeg') {
+                    const arrayBuffer = await image.arrayBuffer()
                     DiscordNative.clipboard.copyImage(new Uint8Array(arrayBuffer), item.src);
                   } else {
-                    const imageBitmap = await createImageBitmap(item.image);
+                    const imageBitmap = await createImageBitmap(image);
                     const canvas = new OffscreenCanvas(imageBitmap.width, imageBitmap.height);
                     const ctx = canvas.getContext('2d');
                     ctx?.drawImage(imageBitmap, 0, 0);
@@ -1092,6 +3637,21 @@ module.exports = meta => {
             } : null,
             {
               label: "Save Image",
+              action: async () => {
+                try {
+                  const image = item.edited ?? item.image;
+                  // Edits of other formats are rendered as PNG.
+                  const name = image.type === item.image.type ? item.image.name : `${item.image.name.replace(/\.[^.]*$/, "")}.${image.type.split("/").pop()}`;
+                  DiscordNative.fileManager.saveWithDialog(new Uint8Array(await image.arrayBuffer()), name).then(() => {
+                    UI.showToast("Saved Image!", { type: "success" });
+                  })
+                } catch (e) {
+                  UI.showToast(`Failed to save Image. ${e}`, { type: 'error' });
+                }
+              }
+            },
+            item.edited ? {
+              label: "Save Original",
               action: async () => {
                 try {
                   DiscordNative.fileManager.saveWithDialog(new Uint8Array(await item.image.arrayBuffer()), item.image.name).then(() => {
@@ -1101,7 +3661,7 @@ module.exports = meta => {
                   UI.showToast(`Failed to save Image. ${e}`, { type: 'error' });
                 }
               }
-            }
+            } : null
           ].filter(e => e != null);
           ContextMenu.open(e, ContextMenu.buildMenu(menuitems(item)));
         }, [item]);
@@ -1112,40 +3672,51 @@ module.exports = meta => {
           onDelete(item);
         }, [onDelete, item]);
 
-        useLayoutEffect(() => {
-          startTransition(async () => new Promise(resolve => {
-            const img = new Image();
-            img.onload = () => { resolve() };
-            img.onerror = () => { setError(true); resolve() };
-            img.src = item.src ?? "";
-          }))
-        }, []);
-
-        useEffect(() => {
-          if (selected) {
-            btn.current?.scrollIntoView({ behavior: initial.current ? "instant" : "smooth", block: initial.current ? "center" : "nearest" });
-          }
-          initial.current = false;
-        }, [selected]);
-
         return jsx(internals.FocusRing ?? Fragment, {
           children: jsx("button", {
-            ref: btn,
-            onClick: () => onSelect(item),
+            style: { "--BGM-row": row, "--BGM-column": column },
+            "data-id": item.id,
+            draggable: true,
+            "aria-pressed": checked ?? undefined,
+            onClick: e => onSelect(item, e),
             onContextMenu: handleContextMenu,
-            className: utils.clsx(selected && "selected", "BGM-image_thumbnail"),
+            className: utils.clsx(selected && "selected", checked && "checked", item.excluded && "excluded", dropPosition && `drop_${dropPosition}`, "BGM-image_thumbnail"),
             children: [
-              loading ? jsx(BdApi.Components.Spinner, { type: BdApi.Components.Spinner.Type.SPINNING_CIRCLE }) :
-                error ? jsx("div", { className: internals.textStylesClass?.defaultColor }, "Could not load image") :
-                  jsx("img", {
-                    tabIndex: -1,
-                    src: item.src,
-                    className: "BGM-image"
-                  }),
-              jsx("div", {
+              error ? jsx("div", { className: internals.textStylesClass?.defaultColor }, "Could not load image") :
+                utils.isVideo(item.image) ? jsx("video", {
+                  tabIndex: -1,
+                  src: item.src,
+                  poster: item.thumbSrc ?? undefined,
+                  className: "BGM-image",
+                  muted: true,
+                  loop: true,
+                  preload: item.thumbSrc ? "none" : "metadata",
+                  draggable: false,
+                  onError: () => setError(true),
+                  onMouseEnter: e => { e.currentTarget.play().catch(() => { }) },
+                  onMouseLeave: e => { e.currentTarget.pause() },
+                }) : jsx("img", {
+                  tabIndex: -1,
+                  src: item.thumbSrc ?? item.src,
+                  className: "BGM-image",
+                  draggable: false,
+                  onError: () => setError(true),
+                }),
+              item.rating ? jsx("div", {
+                className: "BGM-rating",
+                "aria-label": `Rated ${item.rating} out of 5`,
+                children: "\u2605".repeat(item.rating),
+              }) : null,
+              checked != null ? jsx("div", {
+                className: "BGM-check_icon",
+                children: checked && jsx("svg", {
+                  viewBox: "0 0 24 24",
+                  children: jsx("path", { fill: "currentColor", d: utils.paths.Check })
+                })
+              }) : jsx("div", {
                 className: "BGM-delete_icon",
                 children: jsx(Components.IconButton, {
-                  tooltip: "Delete Image",
+                  tooltip: "Move to Trash",
                   d: utils.paths.Delete,
                   onClick: handleDelete,
                 })
@@ -1174,7 +3745,7 @@ module.exports = meta => {
           if (idx === -1) return {};
 
           const items = [...store.items];
-          items[idx].selected = false;
+          items[idx] = { ...items[idx], selected: false };
           return { items, activeSrc: null }
         });
       }, []);
@@ -1183,25 +3754,9 @@ module.exports = meta => {
       const handleFileTransfer = useCallback(file => {
         if (!file) return;
 
-        utils.enqueueAsync(async () => new Promise((res, rej) => {
-          const img = new Image();
-          img.onload = async () => {
-            Store.set(store => ({
-              items: [...store.items, {
-                image: file,
-                selected: false,
-                src: img.src,
-                id: store.items.length + 1,
-                width: img.naturalWidth,
-                height: img.naturalHeight,
-                color: undefined,
-              }]
-            }));
-            res();
-          }
-          img.onerror = () => { URL.revokeObjectURL(img.src); rej() };
-          img.src = URL.createObjectURL(file);
-        }))
+        utils.enqueueAsync(async () => {
+          await utils.importFile(file);
+        })
       }, []);
 
       const handleUpload = useCallback(() => {
@@ -1209,7 +3764,7 @@ module.exports = meta => {
           properties: ["openFile", "multiSelections"],
           filters: [
             { name: "All Files", extensions: ["*"] },
-            { name: "All images", extensions: ["png", "jpg", "jpeg", "jpe", "jfif", "exif", "bmp", "dib", "rle", "gif", "avif", "webp", "svg", "ico"] },
+            { name: "All media", extensions: ["png", "jpg", "jpeg", "jpe", "jfif", "exif", "bmp", "dib", "rle", "gif", "avif", "webp", "svg", "ico", "mp4", "webm"] },
             { name: "PNG", extensions: ["png"] },
             { name: "JPEG", extensions: ["jpg", "jpeg", "jpe", "jfif", "exif"] },
             { name: "BMP", extensions: ["bmp", "dib", "rle"] },
@@ -1218,11 +3773,12 @@ module.exports = meta => {
             { name: "WebP", extensions: ["webp"] },
             { name: "SVG", extensions: ["svg"] },
             { name: "ICO", extensions: ["ico"] },
+            { name: "Video (MP4, WebM)", extensions: ["mp4", "webm"] },
           ]
         }).then(files => {
           files?.forEach(file => {
-            if (!file.data || !["png", "jpg", "jpeg", "jpe", "jfif", "exif", "bmp", "dib", "rle", "gif", "avif", "webp", "svg", "ico"].includes((file.filename?.split(".").pop() ?? "").toLowerCase())) {
-              UI.showToast(`Could not upload ${file.filename}. Data is empty, or ${file.filename} is not an image.`, { type: "error" });
+            if (!file.data || !["png", "jpg", "jpeg", "jpe", "jfif", "exif", "bmp", "dib", "rle", "gif", "avif", "webp", "svg", "ico", "mp4", "webm"].includes((file.filename?.split(".").pop() ?? "").toLowerCase())) {
+              UI.showToast(`Could not upload ${file.filename}. Data is empty, or ${file.filename} is not an image or video.`, { type: "error" });
               return;
             }
             handleFileTransfer(new File([file.data], file.filename, { type: utils.getImageType(file.data) }));
@@ -1249,7 +3805,7 @@ module.exports = meta => {
           fetch(url).then(response =>
             response.ok ? response : Promise.reject(response.status)
           ).then(res => {
-            if (res.headers.get('Content-Type')?.startsWith('image/')) {
+            if (/^(image|video)\//.test(res.headers.get('Content-Type') ?? "")) {
               try {
                 filename = new URL(url).pathname.split("/").at(-1)?.match(/.*\.*\w+/)?.[0].split(".")[0] ?? "image";
               } catch {
@@ -1257,7 +3813,7 @@ module.exports = meta => {
               }
               return res.blob();
             } else {
-              return Promise.reject('Dropped item is not an image.');
+              return Promise.reject('Dropped item is not an image or video.');
             }
           }).then(async blob => {
             const ext = await utils.getFileExtension(blob);
@@ -1338,9 +3894,28 @@ module.exports = meta => {
       /** @type {(e: React.MouseEvent<HTMLElement, MouseEvent>) => void} */
       const handleSettings = useCallback(e => {
         settings.current = { ..._settings };
+        const { profiles } = Store.get();
+        const activeProfile = profiles.find(profile => profile.id === settings.current.activeProfile);
 
         ContextMenu.open(e, ContextMenu.buildMenu([
           {
+            label: "Profiles",
+            type: "submenu",
+            items: [
+              ...[{ id: null, name: "No Profile" }, ...profiles].map(profile => ({
+                id: `BGM-profile-${profile.id}`,
+                label: profile.name,
+                type: "radio",
+                group: "BGM-profile",
+                checked: settings.current.activeProfile === profile.id,
+                action: () => utils.profiles.switchTo(profile.id),
+              })),
+              { type: "separator" },
+              { label: "Save as New Profile", action: utils.profiles.duplicate },
+              activeProfile ? { label: `Rename "${activeProfile.name}"`, action: () => utils.profiles.rename(activeProfile) } : null,
+              activeProfile ? { label: `Delete "${activeProfile.name}"`, danger: true, action: () => utils.profiles.remove(activeProfile) } : null,
+            ].filter(e => e != null)
+          }, { type: "separator" }, {
             label: "Enable Transition",
             type: "toggle",
             checked: settings.current.transition.enabled,
@@ -1349,6 +3924,22 @@ module.exports = meta => {
                 settings: { ...settings, transition: { ...settings.transition, enabled: !settings.transition.enabled } }
               }));
             }
+          }, {
+            label: "Transition Effect",
+            type: "submenu",
+            disabled: !settings.current.transition.enabled,
+            items: transitionTypes.map(({ value, label }) => ({
+              id: `BGM-transition-${value}`,
+              label,
+              type: "radio",
+              group: "BGM-transition",
+              checked: settings.current.transition.type === value,
+              action: () => {
+                setStore(({ settings }) => ({
+                  settings: { ...settings, transition: { ...settings.transition, type: value } }
+                }));
+              }
+            }))
           }, {
             label: "Transition duration",
             type: "custom",
@@ -1365,6 +3956,15 @@ module.exports = meta => {
                 }));
               }
             }))
+          }, {
+            label: "Living Background",
+            type: "toggle",
+            checked: settings.current.kenBurns.enabled,
+            action() {
+              setStore(({ settings }) => ({
+                settings: { ...settings, kenBurns: { ...settings.kenBurns, enabled: !settings.kenBurns.enabled } }
+              }));
+            }
           }, { type: "separator" }, {
             label: "Enable Slideshow",
             type: "toggle",
@@ -1401,6 +4001,24 @@ module.exports = meta => {
                 settings: { ...settings, slideshow: { ...settings.slideshow, shuffle: !settings.slideshow.shuffle } }
               }));
             }
+          }, {
+            label: "Keyboard Shortcuts",
+            type: "toggle",
+            checked: settings.current.shortcuts,
+            action() {
+              setStore(({ settings }) => ({
+                settings: { ...settings, shortcuts: !settings.shortcuts }
+              }));
+            }
+          }, {
+            label: "Pause Videos When Hidden",
+            type: "toggle",
+            checked: settings.current.pauseHiddenVideo,
+            action() {
+              setStore(({ settings }) => ({
+                settings: { ...settings, pauseHiddenVideo: !settings.pauseHiddenVideo }
+              }));
+            }
           }, { type: "separator" }, {
             label: "Enable Drop Area",
             type: "toggle",
@@ -1441,6 +4059,14 @@ module.exports = meta => {
             label: "Color Picker",
             type: "custom",
             render: () => jsx(Components.ColorPicker)
+          }, {
+            label: "Library",
+            type: "submenu",
+            items: [
+              { label: "Export Library", action: () => utils.library.exportToFile(Store.get().items) },
+              { label: "Import Library (Merge)", action: () => utils.library.importFromFile({ mode: "merge", skipDuplicates: true }) },
+              { label: "Import Library (Replace)", danger: true, action: () => utils.library.importFromFile({ mode: "replace", skipDuplicates: false }) },
+            ]
           }, {
             label: "Adjust Image",
             type: "submenu",
@@ -1659,6 +4285,8 @@ module.exports = meta => {
       const [settings, setStore] = Store.useStore(store => store.settings);
 
       return jsx(Fragment, null,
+        jsx(Components.ProfileSelect),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
         jsx(Components.LocationSelect, {
           label: "Popout Button Position",
           note: "Renders the popout button on the specified location, on either the start or end position.",
@@ -1686,6 +4314,19 @@ module.exports = meta => {
             }));
           }
         }),
+        jsx(Components.TransitionSelect, {
+          type: settings.transition.type,
+          easing: settings.transition.easings[settings.transition.type] ?? "ease-out",
+          disabled: !settings.transition.enabled,
+          onChange: ({ type, easing }) => {
+            setStore(store => ({
+              settings: {
+                ...store.settings,
+                transition: { ...store.settings.transition, type, easings: { ...store.settings.transition.easings, [type]: easing } }
+              },
+            }));
+          }
+        }),
         jsx(Components.NumberInput, {
           withSlider: false,
           value: settings.transition.duration,
@@ -1741,6 +4382,72 @@ module.exports = meta => {
           }
         }),
         jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(BdApi.Components.Text, {
+          tag: "h2", strong: true,
+          color: BdApi.Components.Text.Colors.HEADER_PRIMARY,
+          size: BdApi.Components.Text.Sizes.SIZE_16,
+          style: { marginBottom: 8 }
+        }, "Living Background"),
+        jsx(Components.FormSwitch, {
+          label: "Enable Pan and Zoom",
+          value: settings.kenBurns.enabled,
+          note: "Slowly pans and zooms across the background, over the course of one slideshow interval.",
+          onChange: enabled => {
+            setStore(store => ({
+              settings: { ...store.settings, kenBurns: { ...store.settings.kenBurns, enabled } },
+            }));
+          }
+        }),
+        jsx(Components.NumberInput, {
+          label: "Zoom",
+          value: settings.kenBurns.zoom,
+          disabled: !settings.kenBurns.enabled,
+          minValue: 5,
+          maxValue: 50,
+          suffix: "%",
+          onChange: zoom => {
+            setStore(store => ({
+              settings: { ...store.settings, kenBurns: { ...store.settings.kenBurns, zoom } },
+            }));
+          }
+        }),
+        jsx(Components.FormSwitch, {
+          label: "Zoom Into the Focal Point",
+          value: settings.kenBurns.direction === "focal",
+          disabled: !settings.kenBurns.enabled,
+          note: "Zooms towards the focal point of the image, or the point it is positioned on, instead of a random direction.",
+          onChange: focal => {
+            setStore(store => ({
+              settings: { ...store.settings, kenBurns: { ...store.settings.kenBurns, direction: focal ? "focal" : "random" } },
+            }));
+          }
+        }),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(Components.ScheduleEditor),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(Components.BindingList),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(Components.FormSwitch, {
+          label: "Keyboard Shortcuts",
+          value: settings.shortcuts,
+          note: "Ctrl + Alt + Right Arrow shows the next background, Ctrl + Alt + Left Arrow goes back to the previous one.",
+          onChange: shortcuts => {
+            setStore(store => ({
+              settings: { ...store.settings, shortcuts }
+            }))
+          }
+        }),
+        jsx(Components.FormSwitch, {
+          label: "Pause Videos When Hidden",
+          value: settings.pauseHiddenVideo,
+          note: "Pauses video backgrounds while Discord is minimized or hidden.",
+          onChange: pauseHiddenVideo => {
+            setStore(store => ({
+              settings: { ...store.settings, pauseHiddenVideo }
+            }))
+          }
+        }),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
         jsx(Components.FormSwitch, {
           label: "Enable Drop Area",
           value: settings.enableDrop,
@@ -1764,7 +4471,7 @@ module.exports = meta => {
         jsx(Components.FormSwitch, {
           label: "Context Menu",
           value: settings.addContextMenu,
-          note: "Adds an option to the context menu on images.",
+          note: "Adds an option to the context menu on images, and lets you bind backgrounds to servers and channels from their context menu.",
           onChange: addContextMenu => {
             setStore(store => ({
               settings: { ...store.settings, addContextMenu }
@@ -1772,6 +4479,10 @@ module.exports = meta => {
           }
         }),
         jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(Components.CompressionSettings),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
+        jsx(Components.LibraryTransfer),
+        jsx("div", { role: "separator", className: internals.separatorClass?.separator }),
         jsx(internals.ManaButton, {
           variant: "critical-primary",
           size: "md",
@@ -1785,23 +4496,398 @@ module.exports = meta => {
                 confirmText: "Yes, Delete!",
                 onConfirm: () => {
                   setStore(store => {
-                    store.items.forEach(item => { URL.revokeObjectURL(item.src) });
+                    store.items.forEach(utils.revokeUrls);
+
+                    return {
+                      items: [],
+                      activeSrc: null,
+                      settings: { ...store.settings, slideshow: { ...store.settings.slideshow, enabled: false } },
+                    }
+                  });
+                  indexedDB.deleteDatabase(DATA_BASE_NAME);
+                }
+              }
+            )
+          }
+        })
+      )
+    },
+
+    ScheduleEditor() {
+      const [schedule, setStore] = Store.useStore(store => store.settings.schedule);
+      const [albums] = Store.useStore(store => store.albums);
+      const [items] = Store.useStore(store => store.items);
+
+      const targetOptions = [
+        ...albums.map(album => ({ label: `Album: ${album.name}`, value: `album:${album.id}` })),
+        ...items.map(item => ({ label: `Image: ${item.image.name}`, value: `image:${item.id}` })),
+      ];
+
+      /** @type {(update: (schedule: typeof defaultSettings.schedule) => Partial<typeof defaultSettings.schedule>) => void} */
+      const setSchedule = useCallback(update => {
+        setStore(store => ({
+          settings: { ...store.settings, schedule: { ...store.settings.schedule, ...update(store.settings.schedule) } }
+        }));
+      }, []);
+
+      /** @type {(id: number, entry: Partial<ScheduleEntry>) => void} */
+      const updateEntry = useCallback((id, entry) => {
+        setSchedule(({ entries }) => ({ entries: entries.map(e => e.id === id ? { ...e, ...entry } : e) }));
+      }, []);
+
+      /** @param {string} value @returns {Target} */
+      const parseTarget = value => {
+        const [type, id] = value.split(":");
+        return { type: type === "album" ? "album" : "image", id: Number(id) };
+      };
+
+      return jsx(Fragment, null,
+        jsx(BdApi.Components.Text, {
+          tag: "h2", strong: true,
+          color: BdApi.Components.Text.Colors.HEADER_PRIMARY,
+          size: BdApi.Components.Text.Sizes.SIZE_16,
+          style: { marginBottom: 8 }
+        }, "Schedule"),
+        jsx(Components.FormSwitch, {
+          label: "Enable Schedule",
+          value: schedule.enabled,
+          note: "Shows an album or image during the given time of day. The first matching time range wins, and the slideshow cycles within it.",
+          onChange: enabled => { setSchedule(() => ({ enabled })) },
+        }),
+        schedule.entries.map(entry => jsx("div", {
+          key: entry.id,
+          className: utils.clsx("BGM-schedule_entry", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("input", {
+              type: "time",
+              className: "BGM-time_input",
+              value: entry.start,
+              disabled: !schedule.enabled,
+              onChange: e => { e.currentTarget.value && updateEntry(entry.id, { start: e.currentTarget.value }) },
+            }),
+            jsx("span", null, "to"),
+            jsx("input", {
+              type: "time",
+              className: "BGM-time_input",
+              value: entry.end,
+              disabled: !schedule.enabled,
+              onChange: e => { e.currentTarget.value && updateEntry(entry.id, { end: e.currentTarget.value }) },
+            }),
+            jsx(BdApi.Components.DropdownInput, {
+              value: `${entry.target.type}:${entry.target.id}`,
+              options: targetOptions,
+              disabled: !schedule.enabled,
+              onChange: value => { updateEntry(entry.id, { target: parseTarget(value) }) },
+            }),
+            jsx(Components.IconButton, {
+              tooltip: "Remove Time Range",
+              d: utils.paths.Delete,
+              onClick: () => { setSchedule(({ entries }) => ({ entries: entries.filter(e => e.id !== entry.id) })) },
+            }),
+          ]
+        })),
+        jsx("div", {
+          className: "BGM-button_row",
+          children: jsx(internals.ManaButton, {
+            variant: "secondary",
+            size: "sm",
+            text: "Add Time Range",
+            disabled: !targetOptions.length,
+            onClick: () => {
+              setSchedule(({ entries }) => ({
+                entries: [...entries, { id: utils.nextId(entries), start: "08:00", end: "20:00", target: parseTarget(targetOptions[0].value) }]
+              }));
+            },
+          })
+        })
+      );
+    },
+
+    BindingList() {
+      const [bindings] = Store.useStore(store => store.bindings);
+      const entries = Object.entries(bindings);
+
+      /** @param {string} id */
+      const getPlaceName = id => {
+        const guild = Webpack.getStore("GuildStore")?.getGuild?.(id);
+        if (guild) return `Server: ${guild.name}`;
+        const channel = Webpack.getStore("ChannelStore")?.getChannel?.(id);
+        return channel ? `Channel: #${channel.name}` : `Unknown: ${id}`;
+      };
+
+      return jsx(Fragment, null,
+        jsx(BdApi.Components.Text, {
+          tag: "h2", strong: true,
+          color: BdApi.Components.Text.Colors.HEADER_PRIMARY,
+          size: BdApi.Components.Text.Sizes.SIZE_16,
+          style: { marginBottom: 8 }
+        }, "Server & Channel Backgrounds"),
+        jsx("span", {
+          style: { color: "var(--text-muted, #94949c)", display: "block", marginBottom: 8 },
+          className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+          children: entries.length ?
+            "These backgrounds are shown while you are in the server or channel. A channel takes priority over its server." :
+            "Right-click a server or channel to bind an image or album to it. Requires the context menu option.",
+        }),
+        entries.map(([placeId, target]) => jsx("div", {
+          key: placeId,
+          className: utils.clsx("BGM-binding_entry", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("span", null, getPlaceName(placeId)),
+            jsx("span", null, utils.describeTarget(target, Store.get())),
+            jsx(Components.IconButton, {
+              tooltip: "Remove",
+              d: utils.paths.Delete,
+              onClick: () => Controllers.contextMenu.bind(placeId, null),
+            }),
+          ]
+        }))
+      );
+    },
+
+    ProfileSelect() {
+      const [profiles] = Store.useStore(store => store.profiles);
+      const [activeProfile] = Store.useStore(store => store.settings.activeProfile);
+      const profile = profiles.find(profile => profile.id === activeProfile);
+
+      return jsx(Fragment, null,
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Settings Profile"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: activeProfile ?? 0,
+              options: [{ label: "No Profile", value: 0 }, ...profiles.map(profile => ({ label: profile.name, value: profile.id }))],
+              onChange: id => { utils.profiles.switchTo(id || null) },
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "A profile stores the transition, slideshow, living background, adjustment, accent color and button location settings. Changes are saved to the active profile.",
+            }),
+          ]
+        }),
+        jsx("div", {
+          className: "BGM-button_row",
+          children: [
+            jsx(internals.ManaButton, {
+              variant: "primary",
+              size: "sm",
+              text: profile ? "Duplicate" : "Save as Profile",
+              onClick: utils.profiles.duplicate,
+            }),
+            profile && jsx(internals.ManaButton, {
+              variant: "secondary",
+              size: "sm",
+              text: "Rename",
+              onClick: () => utils.profiles.rename(profile),
+            }),
+            profile && jsx(internals.ManaButton, {
+              variant: "critical-primary",
+              size: "sm",
+              text: "Delete",
+              onClick: () => utils.profiles.remove(profile),
+            }),
+          ]
+        })
+      );
+    },
+
+    LibraryTransfer() {
+      const [mode, setMode] = useState(/** @returns {"merge" | "replace"} */() => "merge");
+      const [skipDuplicates, setSkipDuplicates] = useState(true);
+      const modeOptions = useRef([{ label: "Merge", value: "merge" }, { label: "Replace", value: "replace" }]);
 
-                    return {
-                      items: [],
-                      activeSrc: null,
-                      settings: { ...store.settings, slideshow: { ...store.settings.slideshow, enabled: false } },
-                    }
-                  });
-                  indexedDB.deleteDatabase(DATA_BASE_NAME);
-                }
-              }
-            )
-          }
+      return jsx(Fragment, null,
+        jsx(BdApi.Components.Text, {
+          tag: "h2", strong: true,
+          color: BdApi.Components.Text.Colors.HEADER_PRIMARY,
+          size: BdApi.Components.Text.Sizes.SIZE_16,
+          style: { marginBottom: 8 }
+        }, "Library"),
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Import Mode"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: mode,
+              options: modeOptions.current,
+              onChange: setMode,
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "Merge adds the imported images to your library. Replace swaps out every image, album and setting.",
+            }),
+          ]
+        }),
+        jsx(Components.FormSwitch, {
+          label: "Skip Duplicates",
+          value: skipDuplicates,
+          note: "Images with the exact same content as one already in the library are not imported again.",
+          onChange: setSkipDuplicates,
+        }),
+        jsx("div", {
+          className: "BGM-button_row",
+          children: [
+            jsx(internals.ManaButton, {
+              variant: "primary",
+              size: "md",
+              text: "Export Library",
+              onClick: () => utils.library.exportToFile(Store.get().items),
+            }),
+            jsx(internals.ManaButton, {
+              variant: "secondary",
+              size: "md",
+              text: "Import Library",
+              onClick: () => utils.library.importFromFile({ mode, skipDuplicates }),
+            }),
+            jsx(internals.ManaButton, {
+              variant: "secondary",
+              size: "md",
+              text: "Show Storage",
+              onClick: utils.showStorage,
+            }),
+          ]
         })
       )
     },
 
+    TrashView() {
+      const [trash] = Store.useStore(store => store.trash);
+      const [trashDays] = Store.useStore(store => store.settings.storage.trashDays);
+      const sorted = useMemo(() => trash.toSorted((a, b) => (b.deletedAt ?? 0) - (a.deletedAt ?? 0)), [trash]);
+
+      useEffect(() => {
+        utils.trash.purgeExpired();
+      }, []);
+
+      const handleEmpty = useCallback(() => {
+        UI.showConfirmationModal("Empty Trash", "Delete all images in the trash for good? This can't be undone.", {
+          danger: true,
+          confirmText: "Delete",
+          onConfirm: () => utils.trash.purge(new Set(Store.get().trash.map(item => item.id))),
+        });
+      }, []);
+
+      return jsx("div", {
+        className: utils.clsx("BGM-storage", internals.textStylesClass?.defaultColor, internals.textStylesClass?.["text-sm/normal"]),
+        children: [
+          jsx("span", null, trash.length ?
+            `Deleted images are kept for ${trashDays} day(s), before they are removed for good.` :
+            "The trash is empty."),
+          sorted.map(item => jsx("div", {
+            key: item.id,
+            className: "BGM-trash_row",
+            children: [
+              utils.isVideo(item.image) && !item.thumbSrc ?
+                jsx("video", { src: item.src, muted: true, preload: "metadata", tabIndex: -1 }) :
+                jsx("img", { src: item.thumbSrc ?? item.src, draggable: false, alt: "" }),
+              jsx("div", {
+                className: "BGM-storage_row",
+                children: [
+                  jsx("span", null, item.image.name),
+                  jsx("span", null, `${utils.trash.daysLeft(item)} day(s) left`),
+                ]
+              }),
+              jsx(Components.IconButton, {
+                tooltip: "Restore",
+                d: utils.paths.Restore,
+                onClick: () => utils.trash.restore(new Set([item.id])),
+              }),
+              jsx(Components.IconButton, {
+                tooltip: "Delete for Good",
+                d: utils.paths.Delete,
+                onClick: () => utils.trash.purge(new Set([item.id])),
+              }),
+            ]
+          })),
+          !!trash.length && jsx("div", {
+            className: "BGM-button_row",
+            children: [
+              jsx(internals.ManaButton, {
+                variant: "primary",
+                size: "sm",
+                text: "Restore All",
+                onClick: () => utils.trash.restore(new Set(Store.get().trash.map(item => item.id))),
+              }),
+              jsx(internals.ManaButton, {
+                variant: "critical-primary",
+                size: "sm",
+                text: "Empty Trash",
+                onClick: handleEmpty,
+              }),
+            ]
+          }),
+        ]
+      });
+    },
+
+    StorageView() {
+      const [items] = Store.useStore(store => store.items);
+      const [trash] = Store.useStore(store => store.trash);
+      const [storage] = Store.useStore(store => store.settings.storage);
+      const [estimate, setEstimate] = useState(/** @type {StorageEstimate | null} */(null));
+
+      useEffect(() => {
+        navigator.storage?.estimate().then(setEstimate, e => Logger.warn(meta.slug, e));
+      }, [items]);
+
+      const total = items.reduce((sum, item) => sum + item.image.size, 0);
+      const trashTotal = trash.reduce((sum, item) => sum + item.image.size, 0);
+      const largest = useMemo(() => items.toSorted((a, b) => b.image.size - a.image.size).slice(0, 10), [items]);
+      const formats = useMemo(() => {
+        /** @type {Map<string, { count: number, size: number }>} */
+        const map = new Map();
+        for (const item of items) {
+          const format = (item.image.type.split("/").pop() ?? "").toUpperCase() || "Unknown";
+          const entry = map.get(format) ?? { count: 0, size: 0 };
+          map.set(format, { count: entry.count + 1, size: entry.size + item.image.size });
+        }
+        return [...map].sort((a, b) => b[1].size - a[1].size);
+      }, [items]);
+
+      /** @param {string} label @param {number} value @param {number} max */
+      const bar = (label, value, max) => jsx("div", {
+        className: "BGM-storage_bar",
+        children: [
+          jsx("div", { className: "BGM-storage_row" }, jsx("span", null, label), jsx("span", null, `${utils.formatNumber(value)} of ${utils.formatNumber(max)}`)),
+          jsx("progress", { value, max }),
+        ]
+      });
+
+      return jsx("div", {
+        className: utils.clsx("BGM-storage", internals.textStylesClass?.defaultColor, internals.textStylesClass?.["text-sm/normal"]),
+        children: [
+          estimate?.quota ? bar("Used by Discord", estimate.usage ?? 0, estimate.quota) : null,
+          storage.limit > 0 ? bar(trash.length ? "Library size cap, including the trash" : "Library size cap", total + trashTotal, storage.limit * 1048576) :
+            jsx("div", { className: "BGM-storage_row" }, jsx("span", null, "Library"), jsx("span", null, `${items.length} images, ${utils.formatNumber(total)}`)),
+          trash.length ? jsx("div", {
+            className: "BGM-storage_row",
+            children: [
+              jsx("span", null, "Trash"),
+              jsx("span", null, `${trash.length} images, ${utils.formatNumber(trashTotal)}`),
+            ]
+          }) : null,
+          jsx("h3", null, "By Format"),
+          formats.map(([format, { count, size }]) => jsx("div", {
+            key: format,
+            className: "BGM-storage_row",
+            children: [jsx("span", null, `${format} (${count})`), jsx("span", null, utils.formatNumber(size))]
+          })),
+          jsx("h3", null, "Largest Images"),
+          largest.map(item => jsx("div", {
+            key: item.id,
+            className: "BGM-storage_row",
+            children: [
+              jsx("span", null, `${item.image.name} (${item.width} x ${item.height})`),
+              jsx("span", null, utils.formatNumber(item.image.size)),
+            ]
+          })),
+        ]
+      });
+    },
+
     /** @param {{location: "TitleBar" | "ToolBar", position: "end" | "start", note?: string, label?: string, onChange: (loc: {location: "TitleBar" | "ToolBar", position: "end" | "start"}) => void}} props */
     LocationSelect({ location, position, label, note, onChange }) {
       const locationOptions = useRef([{ label: "Title Bar", value: "TitleBar" }, { label: "Tool Bar", value: "ToolBar" }]);
@@ -1834,6 +4920,328 @@ module.exports = meta => {
       });
     },
 
+    CompressionSettings() {
+      const [compression, setStore] = Store.useStore(store => store.settings.compression);
+      const formatOptions = useRef([{ label: "WebP", value: "image/webp" }, { label: "AVIF", value: "image/avif" }, { label: "JPEG", value: "image/jpeg" }]);
+      const resolutionOptions = useRef([{ label: "Keep Resolution", value: "original" }, { label: "Screen Size", value: "screen" }]);
+
+      /** @param {Partial<typeof defaultSettings.compression>} value */
+      const update = value => {
+        setStore(store => ({
+          settings: { ...store.settings, compression: { ...store.settings.compression, ...value } }
+        }));
+      };
+
+      return jsx(Fragment, null,
+        jsx(BdApi.Components.Text, {
+          tag: "h2", strong: true,
+          color: BdApi.Components.Text.Colors.HEADER_PRIMARY,
+          size: BdApi.Components.Text.Sizes.SIZE_16,
+          style: { marginBottom: 8 }
+        }, "Import"),
+        jsx(Components.FormSwitch, {
+          label: "Re-encode Large Images",
+          value: compression.enabled,
+          note: "Compresses new images, which are larger than the size limit or the maximum resolution, to save space. Animated images, SVGs and videos are kept as they are.",
+          onChange: enabled => update({ enabled }),
+        }),
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Format"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: compression.format,
+              disabled: !compression.enabled,
+              options: formatOptions.current,
+              onChange: format => update({ format }),
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "Falls back to WebP or JPEG, where the format can't be encoded. Images with transparency are never turned into JPEG, and stay PNG instead.",
+            }),
+          ]
+        }),
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Maximum Resolution"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: compression.maxResolution,
+              disabled: !compression.enabled,
+              options: resolutionOptions.current,
+              onChange: maxResolution => update({ maxResolution }),
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "Screen Size scales images down to the smallest size, which still covers the whole screen.",
+            }),
+          ]
+        }),
+        jsx(Components.NumberInput, {
+          label: "Quality",
+          value: compression.quality,
+          disabled: !compression.enabled,
+          minValue: 10,
+          maxValue: 100,
+          suffix: "%",
+          onChange: quality => update({ quality }),
+        }),
+        jsx(Components.NumberInput, {
+          withSlider: false,
+          label: "Size Limit",
+          value: compression.minSize,
+          disabled: !compression.enabled,
+          minValue: 0,
+          decimals: 1,
+          suffix: "MiB",
+          onChange: minSize => update({ minSize }),
+        }),
+        jsx(Components.StorageCap),
+      );
+    },
+
+    StorageCap() {
+      const [storage, setStore] = Store.useStore(store => store.settings.storage);
+      const modeOptions = useRef([{ label: "Warn", value: "warn" }, { label: "Refuse Imports", value: "refuse" }]);
+
+      /** @param {Partial<typeof defaultSettings.storage>} value */
+      const update = value => {
+        setStore(store => ({
+          settings: { ...store.settings, storage: { ...store.settings.storage, ...value } }
+        }));
+      };
+
+      return jsx(Fragment, null,
+        jsx(Components.NumberInput, {
+          withSlider: false,
+          label: "Library Size Cap",
+          value: storage.limit,
+          minValue: 0,
+          suffix: "MiB",
+          onChange: limit => update({ limit }),
+        }),
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "When Over the Cap"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: storage.mode,
+              disabled: !storage.limit,
+              options: modeOptions.current,
+              onChange: mode => update({ mode }),
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "A cap of 0 turns it off. Images in the trash count towards it, until they are removed for good.",
+            }),
+          ]
+        }),
+        jsx(Components.NumberInput, {
+          withSlider: false,
+          label: "Keep Deleted Images",
+          value: storage.trashDays,
+          minValue: 1,
+          maxValue: 365,
+          suffix: "days",
+          onChange: trashDays => update({ trashDays }),
+        }),
+      );
+    },
+
+    /** @param {{ type: string, easing: string, disabled?: boolean, onChange: (value: { type: string, easing: string }) => void }} props */
+    TransitionSelect({ type, easing, disabled, onChange }) {
+      const [easings] = Store.useStore(store => store.settings.transition.easings);
+      const options = easingOptions.some(option => option.value === easing) ? easingOptions : [...easingOptions, { label: easing, value: easing }];
+
+      return jsx(Fragment, null,
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Transition Effect"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: type,
+              disabled,
+              options: transitionTypes.map(({ value, label }) => ({ value, label })),
+              onChange: value => {
+                value !== type && onChange({ type: value, easing: easings[value] ?? "ease-out" });
+              }
+            }),
+          ]
+        }),
+        jsx("div", {
+          className: utils.clsx("BGM-form_switch", internals.textStylesClass?.defaultColor),
+          children: [
+            jsx("div", null, "Easing"),
+            jsx(BdApi.Components.DropdownInput, {
+              value: easing,
+              disabled,
+              options,
+              onChange: value => {
+                value !== easing && onChange({ type, easing: value });
+              }
+            }),
+            jsx("span", {
+              style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+              className: utils.clsx(internals.textStylesClass?.["text-sm/normal"]),
+              children: "Speed curve of the selected effect. Every effect remembers its own curve.",
+            }),
+          ]
+        }),
+      );
+    },
+
+    /** @param {{ input: { value: string }, placeholder?: string }} props */
+    TextPrompt({ input, placeholder }) {
+      return jsx(BdApi.Components.TextInput, {
+        value: input.value,
+        placeholder,
+        onChange: value => { input.value = value },
+      });
+    },
+
+    /**
+     * Drag to place the focal point, or switch to the crop, to draw, move and resize it by its corners.
+     * The outline previews what the current window shows of the image. Changes are written to `framing`.
+     * @param {{ item: ImageItem, framing: Pick<ImageItem, "focal" | "crop">, modes?: ("focal" | "crop")[] }} props
+     */
+    FramingEditor({ item, framing, modes = ["focal", "crop"] }) {
+      const [focal, setFocal] = useState(framing.focal);
+      const [crop, setCrop] = useState(framing.crop);
+      const [mode, setMode] = useState(modes[0]);
+      const modeOptions = useRef([{ label: "Focal Point", value: "focal" }, { label: "Crop", value: "crop" }].filter(option => modes.includes(option.value)));
+      /** @type {React.RefObject<{ handle: string, from: { x: number, y: number }, crop: NonNullable<ImageItem["crop"]> } | null>} */
+      const drag = useRef(null);
+      const MIN_SIZE = 0.05;
+
+      framing.focal = focal;
+      framing.crop = crop;
+
+      /** @param {React.PointerEvent<HTMLElement>} e */
+      const getPoint = e => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return { x: utils.clamp(0, (e.clientX - rect.left) / rect.width, 1), y: utils.clamp(0, (e.clientY - rect.top) / rect.height, 1) };
+      };
+
+      /** @param {React.PointerEvent<HTMLElement>} e */
+      const handleDrag = e => {
+        const point = getPoint(e);
+        if (mode === "focal") return setFocal(point);
+        if (!drag.current) return;
+
+        const { handle, from, crop: start } = drag.current;
+        const dx = point.x - from.x;
+        const dy = point.y - from.y;
+        if (handle === "move") {
+          return setCrop({ ...start, x: utils.clamp(0, start.x + dx, 1 - start.width), y: utils.clamp(0, start.y + dy, 1 - start.height) });
+        }
+
+        // Each corner moves its two edges, the other ones stay where they are.
+        let [left, top, right, bottom] = [start.x, start.y, start.x + start.width, start.y + start.height];
+        if (handle.includes("w")) left = utils.clamp(0, left + dx, right - MIN_SIZE);
+        if (handle.includes("e")) right = utils.clamp(left + MIN_SIZE, right + dx, 1);
+        if (handle.includes("n")) top = utils.clamp(0, top + dy, bottom - MIN_SIZE);
+        if (handle.includes("s")) bottom = utils.clamp(top + MIN_SIZE, bottom + dy, 1);
+        setCrop({ x: left, y: top, width: right - left, height: bottom - top });
+      };
+
+      const pointer = hooks.usePointerCapture({
+        buttons: 1,
+        onStart: e => {
+          const point = getPoint(e);
+          if (mode === "focal") return setFocal(point);
+
+          const handle = e.target instanceof Element ? e.target.closest("[data-handle]")?.getAttribute("data-handle") : null;
+          if (handle && crop) {
+            drag.current = { handle, from: point, crop };
+          } else {
+            // Outside of the crop, a new one is drawn from the pointer.
+            const start = { x: point.x, y: point.y, width: 0, height: 0 };
+            drag.current = { handle: "se", from: point, crop: start };
+            setCrop({ ...start, width: MIN_SIZE, height: MIN_SIZE });
+          }
+        },
+        onChange: handleDrag,
+        onSubmit: () => { drag.current = null },
+      });
+
+      const view = utils.getFraming({ width: item.width, height: item.height, focal, crop }, [innerWidth, innerHeight]);
+      /** @param {{ x: number, y: number, width: number, height: number }} rect */
+      const toStyle = rect => ({ left: `${rect.x * 100}%`, top: `${rect.y * 100}%`, width: `${rect.width * 100}%`, height: `${rect.height * 100}%` });
+
+      return jsx("div", {
+        className: utils.clsx("BGM-framing", internals.textStylesClass?.defaultColor, internals.textStylesClass?.["text-sm/normal"]),
+        children: [
+          jsx("div", {
+            className: "BGM-form_switch",
+            children: [
+              jsx("div", null, "Edit"),
+              modeOptions.current.length > 1 ? jsx(BdApi.Components.DropdownInput, { value: mode, options: modeOptions.current, onChange: setMode }) : jsx("div"),
+              jsx("span", {
+                style: { color: "var(--text-muted, #94949c)", textWrap: "balance" },
+                children: mode === "focal" ?
+                  "Click or drag to place the point, which stays visible when the window is resized. It replaces the x- and y-position." :
+                  "Drag outside of the crop to draw a new one, inside to move it, or by its corners to resize it.",
+              }),
+            ]
+          }),
+          jsx("div", {
+            ...pointer,
+            className: utils.clsx("BGM-framing_stage", mode),
+            style: { aspectRatio: `${item.width} / ${item.height}`, maxWidth: `calc(60vh * ${item.width / item.height || 1})` },
+            children: [
+              utils.isVideo(item.image) && !item.thumbSrc ?
+                jsx("video", { src: item.src, muted: true, preload: "metadata", tabIndex: -1 }) :
+                jsx("img", { src: utils.isVideo(item.image) ? item.thumbSrc : item.src, draggable: false, alt: "" }),
+              view && jsx("div", {
+                className: "BGM-framing_view",
+                style: toStyle({
+                  x: -view.position[0] / view.size[0],
+                  y: -view.position[1] / view.size[1],
+                  width: innerWidth / view.size[0],
+                  height: innerHeight / view.size[1],
+                }),
+              }),
+              crop && jsx("div", {
+                className: "BGM-framing_crop",
+                "data-handle": "move",
+                style: toStyle(crop),
+                children: ["nw", "ne", "sw", "se"].map(handle => jsx("div", { key: handle, className: `BGM-framing_handle ${handle}`, "data-handle": handle })),
+              }),
+              focal && jsx("div", {
+                className: "BGM-framing_focal",
+                style: { left: `${focal.x * 100}%`, top: `${focal.y * 100}%` },
+              }),
+            ]
+          }),
+          jsx("div", {
+            className: "BGM-button_row",
+            children: [
+              jsx(internals.ManaButton, {
+                variant: "secondary",
+                size: "sm",
+                text: "Remove Crop",
+                disabled: !crop,
+                onClick: () => setCrop(undefined),
+              }),
+              modes.includes("focal") && jsx(internals.ManaButton, {
+                variant: "secondary",
+                size: "sm",
+                text: "Reset",
+                disabled: !crop && !focal,
+                onClick: () => {
+                  setFocal(undefined);
+                  setCrop(undefined);
+                },
+              }),
+            ]
+          }),
+        ]
+      });
+    },
+
     /** @param {{label?: string, value: boolean, onChange?: (value: boolean) => void, disabled?: boolean, note?: string}} props */
     FormSwitch({ label, value, onChange, disabled, note }) {
       return jsx("div", {
@@ -2033,6 +5441,58 @@ module.exports = meta => {
       let cleanupImage;
       /** @type {(() => void)?} */
       let cleanupMessage;
+      /** @type {(() => void)?} */
+      let cleanupGuild;
+      /** @type {(() => void)?} */
+      let cleanupChannel;
+
+      /** @param {string} placeId @param {Target | null} target */
+      function bind(placeId, target) {
+        Store.set(store => {
+          const bindings = { ...store.bindings };
+          target ? bindings[placeId] = target : delete bindings[placeId];
+          return { bindings };
+        });
+      }
+
+      /** @param {string} placeId @param {string} kind */
+      function BuildBindingMenu(placeId, kind) {
+        const { albums, items, bindings } = Store.get();
+        const binding = bindings[placeId];
+        const selected = items.find(e => e.selected);
+        /** @param {Target} target */
+        const isBound = target => binding?.type === target.type && binding.id === target.id;
+
+        return jsx(ContextMenu.Group, null, ContextMenu.buildItem({
+          type: "submenu",
+          id: "BGM-binding",
+          label: "Background Manager",
+          items: [
+            binding ? { type: "text", id: "BGM-binding-current", label: utils.describeTarget(binding, Store.get()), disabled: true } : null,
+            selected ? {
+              type: "toggle",
+              id: "BGM-binding-image",
+              label: `Use Current Image for this ${kind}`,
+              checked: isBound({ type: "image", id: selected.id }),
+              action: () => bind(placeId, { type: "image", id: selected.id }),
+            } : null,
+            ...albums.map(album => ({
+              type: "toggle",
+              id: `BGM-binding-album-${album.id}`,
+              label: `Use Album: ${album.name}`,
+              checked: isBound({ type: "album", id: album.id }),
+              action: () => bind(placeId, { type: "album", id: album.id }),
+            })),
+            binding ? {
+              type: "text",
+              id: "BGM-binding-remove",
+              label: "Remove Background",
+              danger: true,
+              action: () => bind(placeId, null),
+            } : null,
+          ].filter(e => e != null)
+        }));
+      }
 
       /** @param {string} src @param {string=} mime */
       function BuildMenuItem(src, mime) {
@@ -2063,28 +5523,11 @@ module.exports = meta => {
               if (ext) { filename += `.${ext}` }
 
               const file = new File([blob], filename, { type: blob.type });
-              utils.enqueueAsync(async () => new Promise((res, rej) => {
-                const img = new Image();
-                img.onload = () => {
-                  Store.set(store => ({
-                    items: [...store.items, {
-                      id: store.items.length + 1,
-                      image: file,
-                      width: img.naturalWidth,
-                      height: img.naturalHeight,
-                      selected: false,
-                      src: img.src,
-                    }]
-                  }))
+              utils.enqueueAsync(async () => {
+                if (await utils.importFile(file)) {
                   UI.showToast("Successfully added to BackgroundManager", { type: 'success' });
-                  res();
                 }
-                img.onerror = () => {
-                  URL.revokeObjectURL(img.src);
-                  rej();
-                };
-                img.src = URL.createObjectURL(file);
-              }));
+              });
             } catch (e) {
               Logger.error(meta.slug, e);
               UI.showToast("Failed to add to BackgroundManager.", { type: 'error' });
@@ -2094,7 +5537,15 @@ module.exports = meta => {
       }
 
       function start() {
-        if (cleanupImage || cleanupMessage) stop();
+        if (cleanupImage || cleanupMessage || cleanupGuild || cleanupChannel) stop();
+
+        cleanupGuild = ContextMenu.patch("guild-context", (menu, context) => {
+          context.guild?.id && Array.isArray(menu?.props?.children) && menu.props.children.push(BuildBindingMenu(context.guild.id, "Server"));
+        });
+
+        cleanupChannel = ContextMenu.patch("channel-context", (menu, context) => {
+          context.channel?.id && Array.isArray(menu?.props?.children) && menu.props.children.push(BuildBindingMenu(context.channel.id, "Channel"));
+        });
 
         cleanupImage = ContextMenu.patch("image-context", (menu, context) => {
           if (context.target.tagName === "IMG") {
@@ -2134,67 +5585,229 @@ module.exports = meta => {
       }
 
       function stop() {
-        cleanupImage?.();
-        cleanupImage = null;
-        cleanupMessage?.();
-        cleanupMessage = null;
+        cleanupImage?.();
+        cleanupImage = null;
+        cleanupMessage?.();
+        cleanupMessage = null;
+        cleanupGuild?.();
+        cleanupGuild = null;
+        cleanupChannel?.();
+        cleanupChannel = null;
+      }
+
+      return { start, stop, bind };
+    })(),
+    slideshow: (() => {
+      /** @type {number | null} */
+      let interval;
+      let triggeredHidden = false;
+
+      function nextBg() {
+        Store.set(store => {
+          const [entry, ...queue] = utils.queue.normalize(store);
+          const item = entry && store.items.find(e => e.id === entry.id);
+          if (!item) return {};
+
+          return { ...utils.selectItem(store, item), queue };
+        });
+      }
+
+      /** Goes back in the history. The current image is put in front of the queue, so next returns to it. */
+      function previousBg() {
+        Store.set(store => {
+          const history = [...store.history];
+          let item;
+          while (history.length && !item) {
+            const id = history.pop();
+            item = store.items.find(e => e.id === id && !e.selected);
+          }
+          if (!item) return store.history.length ? { history } : {};
+
+          const current = store.items.find(e => e.selected);
+          return {
+            ...utils.selectItem(store, item),
+            history,
+            queue: current ? [{ id: current.id, pinned: true }, ...store.queue.filter(entry => entry.id !== current.id)] : store.queue,
+          };
+        });
+      }
+
+      function handleVisibilityChange() {
+        if (document.visibilityState === "visible" && triggeredHidden) {
+          triggeredHidden = false;
+          nextBg();
+        }
+      }
+
+      function start() {
+        stop();
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+
+        interval = setInterval(() => {
+          if (document.visibilityState === 'hidden') {
+            triggeredHidden = true;
+            return;
+          }
+          nextBg();
+          Logger.log(meta.slug, 'Image updated on:', new Date());
+        }, Math.max(Store.get().settings.slideshow.interval ?? 3e5, 3e4));
+      }
+
+      function stop() {
+        interval && clearInterval(interval);
+        interval = null;
+        triggeredHidden = false;
+        document.removeEventListener("visibilitychange", handleVisibilityChange);
+      }
+
+      return { start, stop, nextBg, previousBg }
+    })(),
+    shortcuts: (() => {
+      /** @param {KeyboardEvent} e */
+      function handleKeyDown(e) {
+        if (!e.ctrlKey || !e.altKey || e.shiftKey || e.metaKey || e.repeat) return;
+
+        if (e.key === "ArrowRight") {
+          Controllers.slideshow.nextBg();
+        } else if (e.key === "ArrowLeft") {
+          Controllers.slideshow.previousBg();
+        } else return;
+        e.preventDefault();
+      }
+
+      function start() {
+        stop();
+        document.addEventListener("keydown", handleKeyDown);
+      }
+
+      function stop() {
+        document.removeEventListener("keydown", handleKeyDown);
       }
 
-      return { start, stop };
+      return { start, stop }
     })(),
-    slideshow: (() => {
-      /** @type {number | null} */
-      let interval;
-      let triggeredHidden = false;
-
-      function nextBg() {
-        Store.set(store => {
-          if (!store.items.length) return {};
+    navigation: (() => {
+      /** @type {any} */
+      let channelStore = null;
+      /** @type {any} */
+      let guildStore = null;
+      /** @type {string | null} The binding, which is currently applied. */
+      let current = null;
+      /** @type {number | null} Image that was selected, before navigating into a bound server or channel. */
+      let restoreId = null;
+
+      function update() {
+        const guildId = guildStore?.getGuildId?.() ?? null;
+        const channelId = channelStore?.getChannelId?.() ?? null;
+        const { navigation } = Store.get();
+        if (navigation.guildId !== guildId || navigation.channelId !== channelId) {
+          Store.set({ navigation: { guildId, channelId } });
+        }
 
-          const items = [...store.items];
-          const currIdx = items.findIndex(e => e.selected);
-          const weights = new Array(items.length).fill(1);
+        const store = Store.get();
+        const binding = utils.getBinding(store);
+        const key = binding && `${binding.type}:${binding.id}`;
+        if (key === current) return;
 
-          if (currIdx in weights && store.items.length > 1) {
-            weights[currIdx] = 0;
-            items[currIdx] = { ...items[currIdx], selected: false };
+        if (binding && current == null) {
+          restoreId = store.items.find(e => e.selected)?.id ?? null;
+        }
+        const wasBound = current != null;
+        current = key;
+
+        if (!binding && wasBound) {
+          // Back to an unbound place, so restore the previous selection.
+          // If that image is gone in the meantime, the slideshow picks the next one instead.
+          const item = restoreId != null ? store.items.find(e => e.id === restoreId) : null;
+          restoreId = null;
+          if (item) {
+            Store.set(store => utils.selectItem(store, item));
+          } else if (!utils.getPool(store).some(e => e.selected)) {
+            store.settings.slideshow.enabled ? Controllers.slideshow.nextBg() : Store.set(store => utils.selectItem(store, null));
           }
+          return;
+        }
 
-          const newIdx = store.settings.slideshow.shuffle ?
-            utils.randomChoice(weights) :
-            (currIdx + 1 + items.length) % items.length;
-          items[newIdx] = { ...items[newIdx], selected: true };
+        if (!utils.getPool(store).some(e => e.selected)) {
+          Controllers.slideshow.nextBg();
+        }
+      }
 
-          return currIdx !== newIdx ? { items, activeSrc: items[newIdx].src } : {};
-        });
+      function start() {
+        if (!channelStore) {
+          channelStore = Webpack.getStore("SelectedChannelStore");
+          guildStore = Webpack.getStore("SelectedGuildStore");
+          channelStore?.addChangeListener(update);
+          guildStore?.addChangeListener(update);
+        }
+        update();
       }
 
-      function handleVisibilityChange() {
-        if (document.visibilityState === "visible" && triggeredHidden) {
-          triggeredHidden = false;
-          nextBg();
+      function stop() {
+        channelStore?.removeChangeListener(update);
+        guildStore?.removeChangeListener(update);
+        channelStore = null;
+        guildStore = null;
+        current = null;
+        restoreId = null;
+      }
+
+      return { start, stop, update }
+    })(),
+    schedule: (() => {
+      /** @type {number | null} */
+      let interval = null;
+      /** @type {number | null | undefined} */
+      let currentEntry;
+
+      /** Switches the background, once a new time range begins and the current one doesn't belong to it. */
+      function check() {
+        // Like the slideshow, wait until the window is visible again.
+        if (document.visibilityState === "hidden") return;
+
+        const store = Store.get();
+        const entry = utils.getScheduledEntry(store.settings.schedule)?.id ?? null;
+        if (entry === currentEntry) return;
+
+        // Only entering or leaving a time range changes the background, not the absence of one.
+        const changed = entry != null || currentEntry != null;
+        currentEntry = entry;
+        if (changed && !utils.getPool(store).some(item => item.selected)) {
+          Controllers.slideshow.nextBg();
         }
       }
 
       function start() {
         stop();
-        document.addEventListener("visibilitychange", handleVisibilityChange);
+        document.addEventListener("visibilitychange", check);
+        // Timers don't run while the machine sleeps, so this also fires right after it wakes up.
+        interval = setInterval(check, 3e4);
+        check();
+      }
 
-        interval = setInterval(() => {
-          if (document.visibilityState === 'hidden') {
-            triggeredHidden = true;
-            return;
-          }
-          nextBg();
-          Logger.log(meta.slug, 'Image updated on:', new Date());
-        }, Math.max(Store.get().settings.slideshow.interval ?? 3e5, 3e4));
+      function stop() {
+        interval && clearInterval(interval);
+        interval = null;
+        currentEntry = undefined;
+        document.removeEventListener("visibilitychange", check);
+      }
+
+      return { start, stop }
+    })(),
+    trash: (() => {
+      /** @type {number | null} */
+      let interval = null;
+
+      // Discord often stays open for days, so expired images don't wait for the next start.
+      function start() {
+        stop();
+        interval = setInterval(utils.trash.purgeExpired, 36e5);
+        utils.trash.purgeExpired();
       }
 
       function stop() {
         interval && clearInterval(interval);
         interval = null;
-        triggeredHidden = false;
-        document.removeEventListener("visibilitychange", handleVisibilityChange);
       }
 
       return { start, stop }
@@ -2259,11 +5872,21 @@ module.exports = meta => {
         return foundProperties;
       }
 
+      /**
+       * Videos can't be drawn by `background-image`, so the theme keeps its own background for them.
+       * @param {string | null} src
+       */
+      function getImageSrc(src) {
+        const item = src ? Store.get().items.find(e => e.src === src) : null;
+        return item && utils.isVideo(item.image) ? null : src;
+      }
+
       /** @param {string | null} src @param {number} delay */
       function setUrl(src, delay) {
         timer && clearTimeout(timer);
         timer = setTimeout(() => {
           timer = null;
+          src = getImageSrc(src);
           if (src) {
             Store.get().settings.overwriteCSS && setThemeProperty(true);
             DOM.addStyle("BGM-bgurl", `:root { --bgm-url: url("${src}") }`);
@@ -2289,7 +5912,7 @@ module.exports = meta => {
 
         function callback() {
           cssProps = getCssProps();
-          setThemeProperty(!!Store.get().activeSrc);
+          setThemeProperty(!!getImageSrc(Store.get().activeSrc));
         };
 
         cssProps = getCssProps();
@@ -2345,11 +5968,12 @@ module.exports = meta => {
         }
 
         const t0 = Date.now();
+        const { id } = items[idx];
         utils.enqueueAsync(async () => {
           const color = await utils.getAverageColors(items[idx]);
-          items[idx] = { ...items[idx], color };
           setColor(color[colorKey in color ? colorKey : "primary1"], Math.max(0, timer - (Date.now() - t0)));
-          Store.set({ items }); // Don't rerender, just update the color.
+          // Replace only this item, so that only its metadata record gets written.
+          Store.set(store => ({ items: store.items.map(e => e.id === id ? { ...e, color } : e) }));
         });
       }
 
@@ -2443,6 +6067,7 @@ module.exports = meta => {
   .BGM-bg_overlay {
     position: absolute;
     inset: 0;
+    z-index: 2;
     backdrop-filter: blur(var(--BGM-blur, 0px)) grayscale(var(--BGM-grayscale, 0%)) contrast(var(--BGM-contrast, 100%)) saturate(var(--BGM-saturation, 100%));
   }
 }
@@ -2452,15 +6077,204 @@ module.exports = meta => {
   inset: 0;
   opacity: 0;
   background: calc(50% - var(--BGM-position_x, 0%)) calc(50% - var(--BGM-position_y, 0%)) / cover no-repeat fixed;
-  mix-blend-mode: plus-lighter;
-  transition: opacity var(--BGM-transition_duration, 0ms) ease-out;
+  --BGM-animation: BGM-fade-out;
+  animation-name: var(--BGM-animation), var(--BGM-ken_burns, none);
+  animation-duration: var(--BGM-transition_duration, 0ms), var(--BGM-ken_burns_duration, 0ms);
+  animation-timing-function: var(--BGM-transition_easing, ease-out), linear;
+  animation-iteration-count: 1, var(--BGM-ken_burns_iterations, 1);
+  animation-direction: normal, alternate;
+  animation-fill-mode: both;
 
   &.active {
     opacity: 1;
+    z-index: 1;
+    --BGM-animation: BGM-fade-in;
+  }
 
-    @starting-style {
-      opacity: 0;
-    }
+  /* Only the additive blend keeps the brightness constant, while both layers are half transparent */
+  [data-transition="fade"] > & {
+    mix-blend-mode: plus-lighter;
+  }
+
+  /* Fixed backgrounds don't move with the layer */
+  :is([data-transition^="slide"], [data-transition^="zoom"], [data-transition="blur"], .ken_burns) > & {
+    background-attachment: scroll;
+  }
+
+  [data-transition="slide-left"] > & { --BGM-animation: BGM-slide-left-out; }
+  [data-transition="slide-left"] > &.active { --BGM-animation: BGM-slide-left-in; }
+  [data-transition="slide-right"] > & { --BGM-animation: BGM-slide-right-out; }
+  [data-transition="slide-right"] > &.active { --BGM-animation: BGM-slide-right-in; }
+  [data-transition="slide-up"] > & { --BGM-animation: BGM-slide-up-out; }
+  [data-transition="slide-up"] > &.active { --BGM-animation: BGM-slide-up-in; }
+  [data-transition="slide-down"] > & { --BGM-animation: BGM-slide-down-out; }
+  [data-transition="slide-down"] > &.active { --BGM-animation: BGM-slide-down-in; }
+  [data-transition="zoom-in"] > & { --BGM-animation: BGM-zoom-in-out; }
+  [data-transition="zoom-in"] > &.active { --BGM-animation: BGM-zoom-in-in; }
+  [data-transition="zoom-out"] > & { --BGM-animation: BGM-zoom-out-out; }
+  [data-transition="zoom-out"] > &.active { --BGM-animation: BGM-zoom-out-in; }
+  [data-transition="wipe"] > & { --BGM-animation: BGM-hold-out; }
+  [data-transition="wipe"] > &.active { --BGM-animation: BGM-wipe-in; }
+  [data-transition="blur"] > & { --BGM-animation: BGM-blur-out; }
+  [data-transition="blur"] > &.active { --BGM-animation: BGM-blur-in; }
+  [data-transition="dissolve"] > & { --BGM-animation: BGM-hold-out; }
+  [data-transition="dissolve"] > &.active {
+    --BGM-animation: BGM-dissolve-in;
+    mask: radial-gradient(circle, #000 var(--BGM-dissolve), transparent calc(var(--BGM-dissolve) + 1px)) 0 0 / 12px 12px;
+  }
+
+  &.video::after {
+    content: "";
+    position: absolute;
+    inset: 0;
+    background-color: rgba(0, 0, 0, var(--BGM-dimming, 0));
+  }
+}
+
+@property --BGM-dissolve {
+  syntax: "<length>";
+  inherits: false;
+  initial-value: 9px;
+}
+
+@keyframes BGM-fade-in { from { opacity: 0; } }
+@keyframes BGM-fade-out { from { opacity: 1; } to { opacity: 0; } }
+@keyframes BGM-slide-left-in { from { translate: 100% 0; } }
+@keyframes BGM-slide-left-out { from { opacity: 1; } to { opacity: 1; translate: -100% 0; } }
+@keyframes BGM-slide-right-in { from { translate: -100% 0; } }
+@keyframes BGM-slide-right-out { from { opacity: 1; } to { opacity: 1; translate: 100% 0; } }
+@keyframes BGM-slide-up-in { from { translate: 0 100%; } }
+@keyframes BGM-slide-up-out { from { opacity: 1; } to { opacity: 1; translate: 0 -100%; } }
+@keyframes BGM-slide-down-in { from { translate: 0 -100%; } }
+@keyframes BGM-slide-down-out { from { opacity: 1; } to { opacity: 1; translate: 0 100%; } }
+@keyframes BGM-zoom-in-in { from { opacity: 0; scale: 0.8; } }
+@keyframes BGM-zoom-in-out { from { opacity: 1; } to { opacity: 0; scale: 1.25; } }
+@keyframes BGM-zoom-out-in { from { opacity: 0; scale: 1.25; } }
+@keyframes BGM-zoom-out-out { from { opacity: 1; } to { opacity: 0; scale: 0.8; } }
+@keyframes BGM-wipe-in { from { clip-path: inset(0 100% 0 0); } to { clip-path: inset(0); } }
+@keyframes BGM-blur-in { from { opacity: 0; filter: blur(2rem); scale: 1.1; } }
+@keyframes BGM-blur-out { from { opacity: 1; } to { opacity: 0; filter: blur(2rem); scale: 1.1; } }
+@keyframes BGM-dissolve-in { from { --BGM-dissolve: 0px; } to { --BGM-dissolve: 9px; } }
+@keyframes BGM-ken-burns {
+  from { transform: scale(var(--BGM-ken_burns_scale_from)); transform-origin: var(--BGM-ken_burns_origin_from); }
+  to { transform: scale(var(--BGM-ken_burns_scale_to)); transform-origin: var(--BGM-ken_burns_origin_to); }
+}
+/* Keeps the previous image visible underneath, until the new one covers it */
+@keyframes BGM-hold-out { from, 99.9% { opacity: 1; } to { opacity: 0; } }
+
+.BGM-video {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+  object-position: calc(50% - var(--BGM-position_x, 0%)) calc(50% - var(--BGM-position_y, 0%));
+}
+
+/* The focal point and crop are laid out in pixels, instead of covering the layer */
+.BGM-bg.framed {
+  background-size: var(--BGM-frame_width) var(--BGM-frame_height);
+  background-position: var(--BGM-frame_x) var(--BGM-frame_y);
+
+  .BGM-video {
+    inset: auto;
+    left: var(--BGM-frame_x);
+    top: var(--BGM-frame_y);
+    width: var(--BGM-frame_width);
+    height: var(--BGM-frame_height);
+    object-fit: fill;
+  }
+}
+
+.BGM-framing {
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+}
+
+.BGM-framing_stage {
+  position: relative;
+  width: 100%;
+  margin-inline: auto;
+  overflow: hidden;
+  touch-action: none;
+  user-select: none;
+
+  &.focal {
+    cursor: crosshair;
+  }
+
+  > :is(img, video) {
+    display: block;
+    width: 100%;
+    height: 100%;
+    object-fit: fill;
+  }
+}
+
+.BGM-framing_view {
+  position: absolute;
+  outline: 2px solid #fff;
+  box-shadow: 0 0 0 100vmax rgb(0 0 0 / 0.5);
+  pointer-events: none;
+}
+
+.BGM-framing_crop {
+  position: absolute;
+  outline: 2px dashed var(--bgm-accentcolor, var(--brand-500, #5865f2));
+
+  .crop > & {
+    cursor: move;
+  }
+  .focal > & {
+    pointer-events: none;
+  }
+}
+
+.BGM-framing_handle {
+  position: absolute;
+  width: 10px;
+  height: 10px;
+  translate: -50% -50%;
+  border-radius: 2px;
+  background-color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+
+  &.nw { left: 0; top: 0; cursor: nwse-resize; }
+  &.ne { left: 100%; top: 0; cursor: nesw-resize; }
+  &.sw { left: 0; top: 100%; cursor: nesw-resize; }
+  &.se { left: 100%; top: 100%; cursor: nwse-resize; }
+
+  .focal & {
+    display: none;
+  }
+}
+
+.BGM-framing_focal {
+  position: absolute;
+  width: 16px;
+  height: 16px;
+  translate: -50% -50%;
+  border: 2px solid #fff;
+  border-radius: 50%;
+  box-shadow: 0 0 0 2px rgb(0 0 0 / 0.6);
+  pointer-events: none;
+}
+
+.BGM-header {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+}
+
+.BGM-album_select {
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+  margin-left: auto;
+  min-width: 10rem;
+
+  > :first-child {
+    flex: 1;
   }
 }
 
@@ -2529,6 +6343,148 @@ module.exports = meta => {
   align-items: center;
   justify-content: space-between;
   padding-inline: 0.25rem 0.75rem;
+
+  > :first-child {
+    margin-left: auto;
+  }
+}
+
+.BGM-gallery {
+  display: flex;
+  flex-direction: column;
+  min-height: 0;
+
+  > .BGM-image_grid {
+    flex: 1;
+    min-height: 0;
+  }
+}
+
+.BGM-up_next {
+  padding: 0.25rem 0.75rem 0.25rem 0.25rem;
+}
+
+.BGM-up_next_list {
+  display: flex;
+  gap: 0.375rem;
+  padding: 0.25rem 2px;
+  overflow-x: auto;
+}
+
+.BGM-up_next_entry {
+  position: relative;
+  flex: 0 0 4rem;
+  aspect-ratio: 16 / 9;
+  padding: 0;
+  border-radius: .25rem;
+  overflow: hidden;
+  background-color: #fff1;
+  outline: 1px solid #fff3;
+  cursor: grab;
+
+  > img, > video {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+    pointer-events: none;
+  }
+
+  &.pinned {
+    outline-color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+  }
+
+  &.drop_target {
+    outline: 2px solid var(--border-focus, #00b0f4);
+  }
+}
+
+.BGM-pin_icon {
+  position: absolute;
+  top: 2px;
+  right: 2px;
+  width: 14px;
+  height: 14px;
+  color: #fff;
+  filter: drop-shadow(0 0 2px #000);
+}
+
+.BGM-search {
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 0.25rem 0.75rem 0.25rem 0.25rem;
+
+  > :first-child {
+    flex: 1;
+  }
+}
+
+.BGM-trash_row {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+
+  > :is(img, video) {
+    flex: none;
+    width: 64px;
+    aspect-ratio: 16 / 9;
+    object-fit: cover;
+    border-radius: 4px;
+  }
+
+  > .BGM-storage_row {
+    flex: 1;
+    min-width: 0;
+  }
+}
+
+.BGM-selection_bar {
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 0 0.75rem 0 0.5rem;
+
+  > :first-child {
+    flex: 1;
+  }
+}
+
+.BGM-storage {
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+
+  h3 {
+    margin-top: 0.75rem;
+    font-weight: 600;
+  }
+
+  progress {
+    width: 100%;
+    accent-color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+  }
+}
+
+.BGM-storage_row {
+  display: flex;
+  justify-content: space-between;
+  gap: 1rem;
+
+  > :first-child {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+}
+
+.BGM-active_icon {
+  color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+}
+
+.BGM-empty {
+  flex: 1;
+  padding: 1rem;
+  text-align: center;
 }
 
 .BGM-image_grid {
@@ -2544,6 +6500,22 @@ module.exports = meta => {
   mask-image: linear-gradient(#0000, #000 0.5rem, #000 calc(100% - 0.5rem), #0000 100%), linear-gradient(to left, #000 0.75rem, #0000 0.75rem);
 }
 
+.BGM-image_grid_window {
+  position: relative;
+  flex: 0 0 100%;
+  display: flex;
+  flex-wrap: wrap;
+  gap: inherit;
+  align-content: start;
+
+  &.virtual > .BGM-image_thumbnail {
+    position: absolute;
+    top: calc(var(--BGM-row) * var(--BGM-row_height));
+    left: calc(var(--BGM-column) * (50% + var(--BGM-gap) / 2));
+    width: calc(50% - var(--BGM-gap) / 2);
+  }
+}
+
 .BGM-image_thumbnail {
   display: inline-flex;
   align-items: center;
@@ -2561,6 +6533,50 @@ module.exports = meta => {
   &.selected {
     outline: 2px solid var(--border-focus, #00b0f4);
   }
+
+  &:is(.drop_before, .drop_after)::before {
+    content: "";
+    position: absolute;
+    inset-block: 0;
+    width: 3px;
+    z-index: 1;
+    background-color: var(--border-focus, #00b0f4);
+  }
+
+  &.drop_before::before {
+    left: 0;
+  }
+
+  &.drop_after::before {
+    right: 0;
+  }
+
+  &.checked {
+    outline: 2px solid var(--bgm-accentcolor, var(--brand-500, #5865f2));
+  }
+}
+
+.BGM-check_icon {
+  position: absolute;
+  inset: 4px 4px auto auto;
+  width: 18px;
+  height: 18px;
+  border: 2px solid #fff;
+  border-radius: 50%;
+  color: #fff;
+  background-color: rgb(0 0 0 / 0.4);
+  pointer-events: none;
+
+  .checked > & {
+    border-color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+    background-color: var(--bgm-accentcolor, var(--brand-500, #5865f2));
+  }
+
+  svg {
+    display: block;
+    width: 100%;
+    height: 100%;
+  }
 }
 
 .BGM-image {
@@ -2570,6 +6586,22 @@ module.exports = meta => {
   user-select: none;
 }
 
+.BGM-image_thumbnail.excluded .BGM-image {
+  opacity: 0.4;
+}
+
+.BGM-rating {
+  position: absolute;
+  top: 4px;
+  left: 4px;
+  padding: 0 4px;
+  border-radius: 4px;
+  font-size: 12px;
+  color: #f0b232;
+  background-color: rgb(0 0 0 / 0.6);
+  pointer-events: none;
+}
+
 .BGM-image_data {
   position: absolute;
   inset: auto 0 0;
@@ -2658,6 +6690,48 @@ module.exports = meta => {
   }
 }
 
+.BGM-schedule_entry {
+  display: grid;
+  grid-template-columns: auto auto auto 1fr auto;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 8px;
+
+  &:has([disabled]) {
+    opacity: 0.5;
+  }
+}
+
+.BGM-binding_entry {
+  display: grid;
+  grid-template-columns: 1fr 1fr auto;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 8px;
+
+  > span {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+}
+
+.BGM-time_input {
+  padding: 6px 8px;
+  border: 1px solid var(--input-border, #97979f33);
+  border-radius: 8px;
+  background: var(--input-background, #0003);
+  color: inherit;
+  font: inherit;
+  color-scheme: dark;
+}
+
+.BGM-button_row {
+  display: flex;
+  gap: 0.5rem;
+  margin-bottom: 20px;
+}
+
 .BGM-form_switch {
   display: grid;
   grid-template-columns: 1fr auto;
@@ -2674,5 +6748,13 @@ module.exports = meta => {
 `)
   }
 
-  return { start, stop, getSettingsPanel: () => jsx(Components.ErrorBoundary, null, jsx(Components.SettingsPanel)) }
+  return {
+    start,
+    stop,
+    getSettingsPanel: () => jsx(Components.ErrorBoundary, null, jsx(Components.SettingsPanel)),
+    /** Shows the next background from the queue. */
+    next: () => { Store && Controllers.slideshow.nextBg() },
+    /** Goes back to the previously shown background. */
+    previous: () => { Store && Controllers.slideshow.previousBg() },
+  }
 }